@@ -0,0 +1,24 @@
+"use strict";
+
+const {assert} = require("chai");
+
+const clause = require("../dist/lib/clause");
+
+describe("Clause", function() {
+	test("Where", () => {
+		const format = [],
+			sql = clause.whereClause({age: {$gt: 5}, name: {$like: "*me*"}, $or: [{Id: 1}, {Id: {$in: [2, 3]}}]}, format, "t");
+
+		assert.isTrue(sql === "t.age > ? AND t.name LIKE ? AND (t.Id = ? OR t.Id IN (?))");
+		assert.deepEqual(format, [5, "%me%", 1, [2, 3]]);
+	});
+
+	test("Where JSON paths", () => {
+		const format = [],
+			sql = clause.whereClause({"meta.theme": "dark", "meta.tags": {$arrayContains: "news"}, "a.b": 1}, format, "t", ["meta"]);
+
+		assert.isTrue(sql ===
+			"JSON_UNQUOTE(JSON_EXTRACT(t.meta, ?)) = ? AND JSON_CONTAINS(JSON_EXTRACT(t.meta, ?), ?) AND t.a.b = ?");
+		assert.deepEqual(format, ["$.theme", "dark", "$.tags", "[\"news\"]", 1]);
+	});
+});
@@ -3,7 +3,8 @@
 const {assert} = require("chai");
 
 const config = require("./database"),
-	{Collection} = require("../dist/lib");
+	{Collection, ValidationError, DuplicateKeyError, NotFoundError, ConflictError, UnsafeOperationError, events,
+		getCounters} = require("../dist/lib");
 
 const table = new Collection("Table", {
 		Id: {type: "Id"},
@@ -16,6 +17,7 @@ const table = new Collection("Table", {
 			type: "String",
 			length: 160,
 			index: true,
+			unique: true,
 			validate(value, columns) {
 				return columns.name.toLowerCase();
 			}
@@ -43,12 +45,33 @@ const table = new Collection("Table", {
 		}
 	}, config);
 
+const softTable = new Collection("SoftTable", {
+		Id: {type: "Id"},
+		name: {type: "String", length: 60}
+	}, config, {softDelete: true});
+
+const typeTable = new Collection("TypeTable", {
+		uid: {type: "UUID", primary: true},
+		price: {type: "Decimal", precision: 12, scale: 2},
+		views: {type: "BigInt", unsigned: true},
+		rank: {type: "TinyInt"},
+		body: {type: "MediumText"},
+		file: {type: "Blob"},
+		opensAt: {type: "Time"},
+		meta: {type: "JSON"}
+	}, config);
+
 beforeAll(async () => {
 	await table.create();
+	await softTable.create();
+	await typeTable.create();
 });
 
 afterAll(async () => {
 	await table.drop();
+	await softTable.drop();
+	await typeTable.drop();
+	await table.close();
 });
 
 describe("Table Collection", function() {
@@ -90,6 +113,58 @@ describe("Table Collection", function() {
 		assert.isArray(ids);
 	});
 
+	test("Upsert", async () => {
+		const [err, id] = await table.upsert({name: "Amira", age: 3}, {conflict: ["slug"]});
+
+		assert.isNull(err);
+		assert.isTrue(id > 0);
+
+		const [err2, age] = await table.getValue("age", {Id: id});
+
+		assert.isNull(err2);
+		assert.isTrue(age === 3);
+	});
+
+	test("InsertIgnore", async () => {
+		const [err, id] = await table.insertIgnore({name: "Awesome"});
+
+		assert.isNull(err);
+		assert.isFalse(id);
+	});
+
+	test("Errors", async () => {
+		const [err] = await table.insert({age: 5});
+
+		assert.instanceOf(err, ValidationError);
+		assert.property(err.details, "name");
+
+		const [err2] = await table.insert({name: "Amira"});
+
+		assert.instanceOf(err2, DuplicateKeyError);
+		assert.isTrue(err2.column === "slug");
+
+		const throwing = new Collection("Table", table.getSchema(), Object.assign({}, config, {throws: true}));
+
+		try {
+			await throwing.findOne(false, {Id: 0}, {required: true});
+			assert.fail();
+		} catch(e) {
+			assert.instanceOf(e, NotFoundError);
+		}
+	});
+
+	test("Validate", async () => {
+		const [err] = await table.validate({name: "A name longer than sixty characters, which is the column's length"});
+
+		assert.instanceOf(err, ValidationError);
+		assert.hasAllKeys(err.details, ["name"]);
+
+		const [err2, valid] = await table.validate({age: 0}, "update");
+
+		assert.isNull(err2);
+		assert.isTrue(valid);
+	});
+
 	test("Update", async () => {
 		const [err, done] = await table.update({Id: singleId, name: "Louose"}, {where: {Id: singleId}});
 
@@ -105,6 +180,43 @@ describe("Table Collection", function() {
 		assert.isTrue(results.length === 3);
 	});
 
+	test("Join", async () => {
+		const [err, id] = await table.insert({name: "Child", tester: singleId});
+
+		assert.isNull(err);
+
+		const [err2, row] = await table.findOne(false, {Id: id}, {
+			join: {
+				parent: {collection: table, on: {tester: "Id"}, columns: ["name", "settings"]}
+			}
+		});
+
+		assert.isNull(err2);
+		assert.isTrue(row.parent.name === "Louose");
+		assert.isObject(row.parent.settings);
+
+		await table.delete({where: {Id: id}});
+	});
+
+	test("Join cache invalidation", async () => {
+		const [, id] = await softTable.insert({name: "Louose"}),
+			join = {soft: {collection: softTable, on: {name: "name"}, columns: ["Id"]}};
+
+		const [err, row] = await table.findOne(false, {Id: singleId}, {join});
+
+		assert.isNull(err);
+		assert.isTrue(row.soft.Id === id);
+
+		await softTable.update({name: "Renamed"}, {where: {Id: id}});
+
+		const [err2, row2] = await table.findOne(false, {Id: singleId}, {join});
+
+		assert.isNull(err2);
+		assert.isNull(row2.soft);
+
+		await softTable.forceDelete({where: {Id: id}});
+	});
+
 	test("FindOne", async () => {
 		const [err, value] = await table.findOne(false, {Id: singleId});
 
@@ -112,6 +224,45 @@ describe("Table Collection", function() {
 		assert.isTrue("object" === typeof value);
 	});
 
+	test("Query", async () => {
+		const base = table.query().where({age: {$gte: 2}}).orderBy("age", "ASC");
+
+		const [err, results] = await base.clone().where({age: {$lte: 100}}).select("Id", "age");
+
+		assert.isNull(err);
+		assert.isTrue(results.length === 3);
+
+		const [err2, age] = await base.value("age");
+
+		assert.isNull(err2);
+		assert.isTrue(age === 3);
+
+		const [err3, count] = await base.count();
+
+		assert.isNull(err3);
+		assert.isTrue(count === 3);
+	});
+
+	test("Stream", async () => {
+		const rows = [],
+			ended = [],
+			onEnd = e => ended.push(e);
+
+		events.on("queryEnd", onEnd);
+
+		for await (const row of table.stream({orderBy: "Id", order: "ASC"})) {
+			rows.push(row);
+		}
+
+		// The statement ends once the connection is released
+		await new Promise(resolve => setImmediate(resolve));
+		events.off("queryEnd", onEnd);
+
+		assert.isTrue(rows.length === 3);
+		assert.isObject(rows[0].settings);
+		assert.isTrue(ended.length === 1 && ended[0].operation === "stream" && ended[0].affectedRows === 3);
+	});
+
 	test("getValue", async () => {
 		const [err, value] = await table.getValue("name", {Id: singleId});
 
@@ -119,10 +270,610 @@ describe("Table Collection", function() {
 		assert.isTrue(value === "Louose");
 	});
 
+	test("Cache invalidation", async () => {
+		const other = new Collection("Table", table.getSchema(), config);
+
+		await table.getValue("age", {Id: singleId});
+		await other.update({name: "Louose", age: 19}, {where: {Id: singleId}});
+
+		const [err, age] = await table.getValue("age", {Id: singleId});
+
+		assert.isNull(err);
+		assert.isTrue(age === 19);
+	});
+
+	test("Cache per server", () => {
+		// Same database name on another server
+		const other = new Collection("Table", table.getSchema(), Object.assign({}, config, {port: 3307}));
+
+		assert.isFalse(other.__cacheVersionKey() === table.__cacheVersionKey());
+	});
+
+	test("Cache invalidation on commit", async () => {
+		await table.transaction(async trx => {
+			await table.transacting(trx).update({age: 20}, {where: {Id: singleId}});
+
+			// A concurrent read caches the committed value
+			const [, age] = await table.getValue("age", {Id: singleId});
+
+			assert.isTrue(age === 19);
+
+			return [null, true];
+		});
+
+		const [err, age] = await table.getValue("age", {Id: singleId});
+
+		assert.isNull(err);
+		assert.isTrue(age === 20);
+
+		await table.update({age: 19}, {where: {Id: singleId}});
+	});
+
+	test("Transaction", async () => {
+		const [err] = await table.transaction(async trx => {
+			const [err2, id] = await table.transacting(trx).insert({name: "Rolled back"});
+
+			assert.isNull(err2);
+			assert.isTrue(id > 0);
+
+			throw new Error("Rollback");
+		});
+
+		assert.instanceOf(err, Error);
+
+		const [, results] = await table.find({where: {name: "Rolled back"}});
+
+		assert.isTrue(results.length === 0);
+	});
+
+	test("Nested transactions", async () => {
+		const [err, ids] = await table.transaction(trx => Promise.all(["Sibling one", "Sibling two"].map(name =>
+			trx.transaction(async nested => {
+				const [, id] = await table.transacting(nested).insert({name});
+
+				return id;
+			})
+		)));
+
+		assert.isNull(err);
+		assert.isTrue(ids.every(([err2, id]) => null === err2 && id > 0));
+
+		const [, rows] = await table.find({where: {name: {$in: ["Sibling one", "Sibling two"]}}});
+
+		assert.isTrue(rows.length === 2);
+
+		await table.delete({where: {Id: {$in: rows.map(row => row.Id)}}});
+	});
+
+	test("Soft delete", async () => {
+		const [, id] = await softTable.insert({name: "Trashed"});
+
+		const [err, done] = await softTable.delete({where: {Id: id}});
+
+		assert.isNull(err);
+		assert.isTrue(done);
+
+		const [, results] = await softTable.find();
+		assert.isTrue(results.length === 0);
+
+		const [, trashed] = await softTable.find({onlyTrashed: true});
+		assert.isTrue(trashed.length === 1);
+
+		const [err2] = await softTable.restore({where: {Id: id}});
+		assert.isNull(err2);
+
+		const [, restored] = await softTable.find();
+		assert.isTrue(restored.length === 1);
+
+		const [err3] = await softTable.forceDelete({where: {Id: id}});
+		assert.isNull(err3);
+
+		const [, none] = await softTable.find({withTrashed: true});
+		assert.isTrue(none.length === 0);
+	});
+
+	test("Hooks", async () => {
+		const hooked = new Collection("SoftTable", softTable.getSchema(), config, {
+			hooks: {
+				beforeInsert(columns) {
+					return Object.assign({}, columns, {name: columns.name.toUpperCase()});
+				}
+			}
+		});
+
+		let insertedId;
+
+		hooked.on("afterInsert", id => {
+			insertedId = id;
+
+			return "ignored";
+		});
+		hooked.on("afterUpdate", () => {
+			throw new Error("Failed after update");
+		});
+		hooked.on("beforeDelete", conditions => {
+			if (!conditions.where) {
+				return new Error("Missing conditions!");
+			}
+		});
+
+		const [err, id] = await hooked.insert({name: "hooked"});
+
+		assert.isNull(err);
+		assert.isTrue(id === insertedId);
+
+		const [, name] = await hooked.getValue("name", {Id: id});
+
+		assert.isTrue(name === "HOOKED");
+
+		const failed = [],
+			onHookError = e => failed.push(e);
+
+		events.on("hookError", onHookError);
+
+		const [err3, updated] = await hooked.update({name: "Renamed"}, {where: {Id: id}});
+
+		events.off("hookError", onHookError);
+
+		assert.isNull(err3);
+		assert.isTrue(updated);
+		assert.isTrue(failed.length === 1 && failed[0].event === "afterUpdate");
+
+		const contexts = [];
+
+		hooked.on("afterUpdate", (changed, {columns, conditions}) => {
+			contexts.push({columns, conditions});
+		});
+
+		await hooked.updateMany([{where: {Id: id}, set: {name: "Bulk renamed"}}]);
+
+		assert.deepEqual(contexts, [{columns: {name: "Bulk renamed"}, conditions: {where: {Id: id}}}]);
+
+		// Within a transaction, the hooks wait for the commit
+		let pendingId;
+
+		const [err4, committedId] = await hooked.transaction(async trx => {
+			const [, trxId] = await hooked.transacting(trx).insert({name: "committed"});
+
+			pendingId = insertedId;
+
+			return trxId;
+		});
+
+		assert.isNull(err4);
+		assert.isTrue(pendingId === id && insertedId === committedId);
+
+		await hooked.transaction(async trx => {
+			await hooked.transacting(trx).insert({name: "rolled back"});
+
+			return [new Error("Rolled back")];
+		});
+
+		assert.isTrue(insertedId === committedId);
+
+		const [err2] = await hooked.forceDelete();
+
+		assert.instanceOf(err2, Error);
+
+		await hooked.forceDelete({where: {Id: committedId}});
+
+		await hooked.forceDelete({where: {Id: id}});
+	});
+
+	test("Column types", async () => {
+		const [err, uid] = await typeTable.insert({
+			price: "1234567890.99",
+			views: 9007199254740993n,
+			rank: 3,
+			body: "Lorem ipsum",
+			file: Buffer.from("binary"),
+			opensAt: "08:30:00"
+		});
+
+		assert.isNull(err);
+		assert.match(uid, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+
+		const [err2, row] = await typeTable.findOne("*", {uid});
+
+		assert.isNull(err2);
+		assert.isTrue(row.uid === uid);
+		assert.isTrue(row.price === "1234567890.99");
+		assert.isTrue(String(row.views) === "9007199254740993");
+		assert.isTrue(Buffer.isBuffer(row.file) && row.file.toString() === "binary");
+
+		const [err3, rows] = await typeTable.find({where: {views: 9007199254740993n}});
+
+		assert.isNull(err3);
+		assert.isTrue(rows.length === 1 && rows[0].uid === uid);
+
+		const [err4] = await typeTable.insert({uid: "not-a-uuid"});
+
+		assert.instanceOf(err4, ValidationError);
+	});
+
+	test("JSON", async () => {
+		const [, uid] = await typeTable.insert({meta: {theme: "dark", tags: ["news", "sport"], old: true}});
+
+		const [err, rows] = await typeTable.find({where: {"meta.theme": "dark", "meta.tags": {$arrayContains: "news"}, meta: {$hasKey: "old"}}});
+
+		assert.isNull(err);
+		assert.isTrue(rows.length === 1 && rows[0].meta.theme === "dark");
+
+		const [err2] = await typeTable.update({"meta.theme": "light", "meta.old": {$remove: true}}, {where: {uid}});
+
+		assert.isNull(err2);
+
+		const [, meta] = await typeTable.getValue("meta", {uid});
+
+		assert.deepEqual(meta, {theme: "light", tags: ["news", "sport"]});
+	});
+
+	test("Paginate", async () => {
+		const [err, page] = await table.paginate({page: 1, perPage: 2});
+
+		assert.isNull(err);
+		assert.isTrue(page.items.length === page.perPage && page.pageCount === Math.ceil(page.total / 2));
+
+		const [err2, first] = await table.paginate({after: null, perPage: 2});
+
+		assert.isNull(err2);
+		assert.isTrue(first.pageInfo.hasNextPage);
+
+		const [err3, next] = await table.paginate({after: first.pageInfo.endCursor, perPage: 2});
+
+		assert.isNull(err3);
+		assert.isTrue(next.pageInfo.hasPreviousPage);
+		assert.isTrue(next.items[0].Id > first.items[1].Id);
+
+		const [err4] = await table.paginate({after: "invalid"});
+
+		assert.instanceOf(err4, ValidationError);
+
+		// The total counts the groups, and the joined rows, as find returns them
+		const grouped = {columns: ["age"], groupBy: "age"},
+			[, groups] = await table.find(grouped),
+			[err5, groupPage] = await table.paginate(Object.assign({page: 1, perPage: 2}, grouped));
+
+		assert.isNull(err5);
+		assert.isTrue(groupPage.total === groups.length);
+
+		const joined = {join: {children: {collection: table, on: {Id: "tester"}, type: "inner"}}},
+			[, joinedRows] = await table.find(joined),
+			[err6, joinedPage] = await table.paginate(Object.assign({page: 1, perPage: 2}, joined));
+
+		assert.isNull(err6);
+		assert.isTrue(joinedPage.total === joinedRows.length);
+	});
+
+	test("Bulk", async () => {
+		const [err, chunks] = await softTable.insertMany([{name: "Bulk 1"}, {name: "Bulk 2"}, {name: "Bulk 3"}], {chunkSize: 2});
+
+		assert.isNull(err);
+		assert.isTrue(chunks.length === 2 && chunks[0].rows === 2 && chunks[1].rows === 1);
+
+		const [id1, id2] = chunks[0].result;
+
+		const [err2, changed] = await softTable.updateMany([
+			{where: {Id: id1}, set: {name: "Bulk one"}},
+			{where: {Id: id2}, set: {name: "Bulk two"}}
+		]);
+
+		assert.isNull(err2);
+		assert.isTrue(changed === 2);
+
+		const [, name] = await softTable.getValue("name", {Id: id2});
+
+		assert.isTrue(name === "Bulk two");
+
+		// The updated column is also the condition, every column of the row is still set
+		const [err4, shared] = await table.updateMany([
+			{where: {Id: singleId, name: "Louose"}, set: {name: "Bulk shared", age: 21}}
+		]);
+
+		assert.isNull(err4);
+		assert.isTrue(shared === 1);
+
+		const [, row] = await table.findOne(["name", "age"], {Id: singleId});
+
+		assert.isTrue(row.name === "Bulk shared" && row.age === 21);
+
+		await table.update({name: "Louose", age: 19}, {where: {Id: singleId}});
+
+		const [err3] = await softTable.updateMany([{where: {Id: id1}, set: {}}]);
+
+		assert.instanceOf(err3, ValidationError);
+
+		await softTable.forceDelete({where: {name: {$like: "Bulk*"}}});
+	});
+
+	test("Safety", async () => {
+		const [err] = await softTable.forceDelete();
+
+		assert.instanceOf(err, UnsafeOperationError);
+
+		const production = new Collection("SoftTable", softTable.getSchema(), Object.assign({}, config, {production: true})),
+			[err2] = await production.drop();
+
+		assert.instanceOf(err2, UnsafeOperationError);
+
+		const readOnly = new Collection("SoftTable", softTable.getSchema(), config, {readOnly: true}),
+			[err3] = await readOnly.insert({name: "Read only"});
+
+		assert.instanceOf(err3, UnsafeOperationError);
+
+		const limited = new Collection("SoftTable", softTable.getSchema(), config, {softDelete: true, maxAffectedRows: 1}),
+			[, ids] = await limited.insertMany([{name: "Limit 1"}, {name: "Limit 2"}]),
+			[err4] = await limited.forceDelete({where: {Id: {$in: ids}}});
+
+		assert.instanceOf(err4, UnsafeOperationError);
+
+		// The statement was rolled back
+		const [, count] = await softTable.count("*", {Id: {$in: ids}});
+
+		assert.isTrue(count === 2);
+
+		// The limited statement runs at the connection borrowed by `multi()`
+		const active = [],
+			onQuery = () => active.push(limited.stats().active);
+
+		events.on("query", onQuery);
+		limited.multi();
+
+		const [err5] = await limited.delete({where: {Id: ids[0]}});
+
+		limited.end();
+		events.off("query", onQuery);
+
+		assert.isNull(err5);
+		assert.isTrue(Math.max(...active) === 1);
+
+		await softTable.forceDelete({where: {Id: {$in: ids}}});
+	});
+
+	test("Version", async () => {
+		const versioned = new Collection("Versioned", {
+				Id: {type: "Id"},
+				title: {type: "String", length: 60},
+				slug: {type: "String", length: 60, unique: true},
+				version: {type: "Int", version: true}
+			}, config);
+
+		await versioned.create();
+
+		const [, id] = await versioned.insert({title: "Draft"}),
+			[err, row] = await versioned.findOne(["title"], {Id: id});
+
+		assert.isNull(err);
+		assert.isTrue(row.version === 1);
+
+		const [err2] = await versioned.update({title: "First", version: row.version}, {where: {Id: id}}),
+			[err3] = await versioned.update({title: "Second", version: row.version}, {where: {Id: id}});
+
+		assert.isNull(err2);
+		assert.instanceOf(err3, ConflictError);
+
+		const [, title] = await versioned.getValue("title", {Id: id});
+
+		assert.isTrue(title === "First");
+
+		const [, id2] = await versioned.insert({title: "Other"}),
+			[err4] = await versioned.updateMany([
+				{where: {Id: id2}, set: {title: "Third", version: 1}},
+				{where: {Id: id}, set: {title: "Third", version: 1}}
+			]);
+
+		assert.instanceOf(err4, ConflictError);
+		assert.deepEqual(err4.updates, [1]);
+
+		const [, title2] = await versioned.getValue("title", {Id: id2});
+
+		assert.isTrue(title2 === "Other");
+
+		// Updating an existing row through an upsert increments the version
+		const [, id3] = await versioned.upsert({title: "Upserted", slug: "upserted"}, {conflict: ["slug"]}),
+			[err5, id4] = await versioned.upsert({title: "Upserted again", slug: "upserted"}, {conflict: ["slug"]}),
+			[, upserted] = await versioned.findOne(["title"], {Id: id3});
+
+		assert.isNull(err5);
+		assert.isTrue(id4 === id3);
+		assert.isTrue(upserted.title === "Upserted again" && upserted.version === 2);
+
+		await versioned.drop();
+	});
+
+	test("History", async () => {
+		const audited = new Collection("Audited", {
+				Id: {type: "Id"},
+				title: {type: "String", length: 60}
+			}, config, {history: true});
+
+		await audited.create();
+
+		const editor = audited.withContext({actor: 7}),
+			[, id] = await editor.insert({title: "Draft"});
+
+		await editor.update({title: "Final"}, {where: {Id: id}});
+		await audited.delete({where: {Id: id}});
+
+		const [err, records] = await audited.history(id);
+
+		assert.isNull(err);
+		assert.deepEqual(records.map(record => record.operation), ["insert", "update", "delete"]);
+		assert.deepEqual(records[1].before, {title: "Draft"});
+		assert.deepEqual(records[1].after, {title: "Final"});
+		assert.isTrue(records[1].actor === "7");
+		assert.isNull(records[2].after);
+		assert.isNull(records[2].actor);
+
+		const [err2] = await audited.upsert({Id: id, title: "Again"});
+
+		assert.instanceOf(err2, UnsafeOperationError);
+
+		await audited.drop();
+
+		// The history is kept by the row's primary key
+		assert.throws(() => new Collection("Unkeyed", {title: {type: "String"}}, config, {history: true}));
+	});
+
+	test("Aggregate", async () => {
+		await typeTable.insertMany([{rank: 1, price: "10.25"}, {rank: 1, price: "4.75"}, {rank: 2, price: "8.00"}]);
+
+		const [err, groups] = await typeTable.aggregate({
+			groupBy: "rank",
+			metrics: {rows: {$count: "*"}, total: {$sum: "price"}},
+			where: {rank: {$in: [1, 2]}},
+			having: {rows: {$gt: 1}}
+		});
+
+		assert.isNull(err);
+		assert.deepEqual(groups, [{rank: 1, rows: 2, total: "15.00"}]);
+
+		const [err2, max] = await typeTable.max("price", {rank: {$in: [1, 2]}});
+
+		assert.isNull(err2);
+		assert.isTrue(max === "10.25");
+
+		const [, avg] = await typeTable.avg("rank", {rank: {$in: [1, 2]}});
+
+		assert.closeTo(avg, 1.33, 0.01);
+	});
+
+	test("Replicas", async () => {
+		const replicated = new Collection("Table", table.getSchema(), Object.assign({}, config, {
+				cache: false,
+				primary: {},
+				replicas: [{port: 1}, {}]
+			}));
+
+		// The unreachable replica is skipped
+		const [err, rows] = await replicated.find();
+
+		assert.isNull(err);
+		assert.isNotEmpty(rows);
+
+		const [err2, id] = await replicated.insert({name: "Replicated"});
+
+		assert.isNull(err2);
+
+		// Reads right after the write go to the primary
+		const [err3, name] = await replicated.getValue("name", {Id: id});
+
+		assert.isNull(err3);
+		assert.isTrue(name === "Replicated");
+
+		await replicated.forceDelete({where: {Id: id}});
+	});
+
+	test("Events", async () => {
+		const ended = [],
+			failed = [],
+			onEnd = e => ended.push(e),
+			onError = e => failed.push(e),
+			before = getCounters();
+
+		events.on("queryEnd", onEnd);
+		events.on("queryError", onError);
+
+		await table.findOne("*", {Id: {$gt: 0}});
+		await table.exec("SELECT * FROM ??", ["MissingTable"]);
+
+		events.off("queryEnd", onEnd);
+		events.off("queryError", onError);
+
+		assert.isTrue(ended.length === 1 && ended[0].operation === "findOne" && ended[0].table === table.getName());
+		assert.isTrue(ended[0].duration >= 0 && /WHERE/.test(ended[0].sql));
+		assert.isTrue(failed.length === 1 && "ER_NO_SUCH_TABLE" === failed[0].error.code);
+		assert.isTrue(getCounters().queries === before.queries + 2 && getCounters().errors === before.errors + 1);
+	});
+
+	test("Pool stats", async () => {
+		const stats = table.stats();
+
+		assert.isTrue(stats.active === 0);
+		assert.isTrue(stats.idle > 0);
+	});
+
 	test("Delete", async () => {
 		const [err, done] = await table.delete({where: {Id: singleId}});
 
 		assert.isNull(err);
 		assert.isTrue(done);
 	});
-});
\ No newline at end of file
+});
+
+describe("Preview", function() {
+	// Statements are only previewed so the table is not needed
+	const preview = new Collection("Preview", {
+			Id: {type: "Id"},
+			name: {type: "String", length: 60, required: true},
+			age: {type: "Int"}
+		}, {database: "preview", prefix: "pre_", cache: false});
+
+	test("Find preview", async () => {
+		const [err, statements] = await preview.toSQL("find", {where: {age: {$gte: 18}}, orderBy: {age: "ASC"}, page: 2, perPage: 10});
+
+		assert.isNull(err);
+		assert.isTrue(statements[0].sql ===
+			"SELECT pre_Preview.* FROM `pre_Preview` WHERE pre_Preview.age >= 18 ORDER BY pre_Preview.age ASC LIMIT 10, 10");
+
+		const [err2, streamed] = await preview.toSQL("stream", {where: {age: {$gte: 18}}});
+
+		assert.isNull(err2);
+		assert.isTrue(streamed[0].sql === "SELECT pre_Preview.* FROM `pre_Preview` WHERE pre_Preview.age >= 18");
+	});
+
+	test("Aggregate preview", async () => {
+		const [err, statements] = await preview.toSQL("aggregate", {
+			groupBy: "age",
+			metrics: {rows: {$count: "*"}, "max`name": {$max: "name"}}
+		});
+
+		assert.isNull(err);
+		assert.isTrue(statements[0].sql === "SELECT `pre_Preview`.`age`, COUNT(*) AS `rows`, " +
+			"MAX(`pre_Preview`.`name`) AS `max``name` FROM `pre_Preview` GROUP BY pre_Preview.age");
+	});
+
+	test("Paginate preview", async () => {
+		const [err, statements] = await preview.toSQL("paginate", {columns: ["age"], groupBy: "age", page: 2, perPage: 10});
+
+		assert.isNull(err);
+		assert.isTrue(statements[1].sql === "SELECT COUNT(*) AS `total` FROM " +
+			"(SELECT pre_Preview.age FROM `pre_Preview` GROUP BY pre_Preview.age) AS `paginated`");
+	});
+
+	test("Update and delete preview", async () => {
+		const [err, updates] = await preview.toSQL("update", {name: "Bob"}, {where: {Id: 1}}),
+			[err2, deletes] = await preview.toSQL("delete", {where: {Id: 1}});
+
+		assert.isNull(err);
+		assert.isTrue(updates[0].sql === "UPDATE `pre_Preview` SET `name` = 'Bob' WHERE pre_Preview.Id = 1");
+		assert.isNull(err2);
+		assert.isTrue(deletes[0].sql === "DELETE FROM `pre_Preview` WHERE pre_Preview.Id = 1");
+
+		const [err3] = await preview.toSQL("insert", {age: 3});
+
+		assert.isTrue(err3.details.name === "Missing required value for name!");
+	});
+
+	test("Alter preview", async () => {
+		const newSchema = {
+			Id: {type: "Id"},
+			name: {type: "String", length: 80, required: true},
+			email: {type: "String", length: 160, index: true}
+		};
+
+		// The live indexes are read even when previewing, from a table without any
+		preview.getPool = () => ({
+			query(sql, params, callback) {
+				callback(null, []);
+			}
+		});
+
+		const [err, statements] = await preview.toSQL("alter", preview.getSchema(), newSchema);
+
+		assert.isNull(err);
+		assert.isTrue(statements[0].sql === "ALTER TABLE `pre_Preview` CHANGE COLUMN `name` `name` VARCHAR(80) NOT NULL, " +
+			"DROP COLUMN `age`, ADD COLUMN `email` VARCHAR(160)");
+		assert.isTrue(statements[1].sql === "CREATE INDEX `email` ON `pre_Preview` (`email`)");
+	});
+});
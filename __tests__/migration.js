@@ -0,0 +1,121 @@
+"use strict";
+
+const {assert} = require("chai"),
+	fs = require("fs"),
+	os = require("os"),
+	path = require("path");
+
+const config = require("./database"),
+	{Migrator} = require("../dist/lib");
+
+const migrator = new Migrator(config, {
+	table: "TestMigrations",
+	migrations: [
+		{
+			name: "001-create-authors",
+			up(db) {
+				return db.create("Authors", {
+					Id: {type: "Id"},
+					name: {type: "String", length: 60}
+				});
+			},
+			down(db) {
+				return db.drop("Authors");
+			}
+		},
+		{
+			name: "002-seed-authors",
+			up(db) {
+				return db.query("INSERT INTO ?? (name) VALUES ?", [config.prefix + "Authors", [["Amira"]]]);
+			},
+			down(db) {
+				return db.query("DELETE FROM ??", [config.prefix + "Authors"]);
+			}
+		}
+	]
+});
+
+afterAll(async () => {
+	await migrator.helper().drop("TestMigrations");
+	await migrator.close();
+});
+
+describe("Migration", function() {
+	test("Migrate", async () => {
+		const [err, done] = await migrator.migrate();
+
+		assert.isNull(err);
+		assert.deepEqual(done, ["001-create-authors", "002-seed-authors"]);
+
+		const [err2, again] = await migrator.migrate();
+
+		assert.isNull(err2);
+		assert.isEmpty(again);
+	});
+
+	test("Status", async () => {
+		const [err, status] = await migrator.status();
+
+		assert.isNull(err);
+		assert.isTrue(status.every(migration => migration.migrated && 1 === migration.batch));
+	});
+
+	test("Rollback", async () => {
+		const [err, done] = await migrator.rollback();
+
+		assert.isNull(err);
+		assert.deepEqual(done, ["002-seed-authors", "001-create-authors"]);
+	});
+
+	test("Production", async () => {
+		const env = process.env.NODE_ENV;
+
+		process.env.NODE_ENV = "production";
+
+		const schema = {Id: {type: "Id"}, name: {type: "String", length: 60}},
+			production = new Migrator(config, {
+				table: "TestMigrations",
+				migrations: [
+					{
+						name: "003-alter-editors",
+						async up(db) {
+							await db.create("Editors", schema);
+
+							return db.alter("Editors", schema, {Id: {type: "Id"}, name: {type: "String", length: 120}});
+						},
+						down(db) {
+							return db.drop("Editors");
+						}
+					}
+				]
+			});
+
+		process.env.NODE_ENV = env;
+
+		const [err, done] = await production.migrate();
+
+		assert.isNull(err);
+		assert.deepEqual(done, ["003-alter-editors"]);
+
+		const [err2, reverted] = await production.rollback();
+
+		assert.isNull(err2);
+		assert.deepEqual(reverted, ["003-alter-editors"]);
+	});
+
+	test("Lock release", async () => {
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+
+		fs.writeFileSync(path.join(directory, "001-broken.js"), "throw new Error('Broken migration!');");
+
+		const [err] = await new Migrator(config, {table: "TestMigrations", directory}).migrate();
+
+		assert.isTrue(err.message === "Broken migration!");
+
+		// The lock is free for the next run
+		const [err2, done] = await new Migrator(config, {table: "TestMigrations"}).migrate();
+
+		assert.isNull(err2);
+		assert.isEmpty(done);
+	});
+});
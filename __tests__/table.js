@@ -28,6 +28,9 @@ describe("Table Collection", function() {
 			description: {
 				type: "String"
 			},
+			body: {
+				type: "LongText"
+			},
 			age: {
 				type: "Int"
 			},
@@ -109,6 +112,22 @@ describe("Table Collection", function() {
 		assert.isNull(err2);
 	});
 
+	test("Describe", async () => {
+		const [err, schema] = await table2.describe();
+
+		assert.isNull(err);
+		assert.deepEqual(schema.name, {type: "String", length: 60, required: true});
+		assert.deepEqual(schema.body, {type: "LongText"});
+		assert.isTrue(schema.tester.foreign.key === "tester_foreign");
+	});
+
+	test("Diff", async () => {
+		const [err, diffs] = await table2.diff();
+
+		assert.isNull(err);
+		assert.isEmpty(diffs);
+	});
+
 	// Alter first table
 	test("Alter", async () => {
 		const [err] = await table2.alter(table2.getSchema(), newSchema);
@@ -118,6 +137,53 @@ describe("Table Collection", function() {
 		table2.schema = newSchema;
 	});
 
+	test("Indexes", async () => {
+		const posts = new Collection("Posts", {
+				Id: {type: "Id"},
+				title: {type: "String", length: 160},
+				body: {type: "Text"},
+				slug: {type: "String", length: 160}
+			}, config, {
+				indexes: [
+					{columns: ["title", "body"], type: "fulltext"},
+					{name: "title_slug", columns: [{column: "title", length: 20}, "slug"], type: "unique"}
+				]
+			});
+
+		const [err] = await posts.create({engine: "InnoDB"});
+
+		assert.isNull(err);
+
+		const [err2, diffs] = await posts.diff();
+
+		assert.isNull(err2);
+		assert.isEmpty(diffs);
+
+		// An index added by hand is kept
+		await posts.exec("CREATE INDEX ?? ON ?? (??)", ["manual_slug", posts.getName(), "slug"]);
+
+		const [errAlter] = await posts.alter(),
+			[, unknown] = await posts.diff();
+
+		assert.isNull(errAlter);
+		assert.isTrue(unknown.length === 1 && unknown[0].name === "manual_slug" && unknown[0].change === "unexpected");
+
+		await posts.insertMany([
+			{title: "Tuning MySQL", body: "Indexes make the search faster.", slug: "tuning"},
+			{title: "Cooking", body: "Eating is better than cooking.", slug: "cooking"}
+		]);
+
+		const [err3, rows] = await posts.find({
+			where: {$match: {columns: ["title", "body"], against: "+search", mode: "boolean"}},
+			orderBy: {$relevance: "DESC"}
+		});
+
+		assert.isNull(err3);
+		assert.isTrue(rows.length === 1 && rows[0].slug === "tuning");
+
+		await posts.drop();
+	});
+
 	test("Drop", async () => {
 		// Remove the child table first to avoid error
 		const [err] = await table2.drop();
@@ -128,4 +194,11 @@ describe("Table Collection", function() {
 
 		assert.isNull(err2);
 	});
+
+	test("Close", async () => {
+		const [err, done] = await table.close();
+
+		assert.isNull(err);
+		assert.isTrue(done);
+	});
 });
\ No newline at end of file
@@ -0,0 +1,184 @@
+import * as _ from "./utils";
+
+/**
+ A bounded in-memory cache store which evicts the least recently used entry once full.
+
+ Every cache store, including external ones, implements the same asynchronous interface:
+    get(key) => Promise<*>
+    set(key, value, ttl) => Promise<Boolean>
+    delete(key) => Promise<Boolean>
+    clear() => Promise<Boolean>
+**/
+export class MemoryCache {
+    /**
+     Constructor
+
+     @param {object} options
+        {
+            @property {int} max
+                The maximum number of entries to keep.
+            @property {int} ttl
+                The default number of seconds an entry lives. Set `0` to keep entries until evicted.
+        }
+    **/
+    constructor({max = 500, ttl = 0} = {}) {
+        this.max = max;
+        this.ttl = ttl;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return;
+        }
+
+        if (entry.expires && entry.expires <= Date.now()) {
+            this.entries.delete(key);
+
+            return;
+        }
+
+        // Mark as the most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return entry.value;
+    }
+
+    async set(key, value, ttl = this.ttl) {
+        this.entries.delete(key);
+
+        this.entries.set(key, {
+            value,
+            expires: ttl ? Date.now() + ttl * 1000 : 0
+        });
+
+        while (this.entries.size > this.max) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        return true;
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+
+        return true;
+    }
+}
+
+/**
+ A cache store backed by an external Redis compatible client.
+**/
+export class StoreCache {
+    /**
+     Constructor
+
+     @param {object} client
+        A promise based client implementing `get`, `set`, `del` and `keys` commands such as `ioredis`.
+     @param {object} options
+        {
+            @property {string} namespace
+                A string prepended to every key.
+            @property {int} ttl
+                The default number of seconds an entry lives.
+        }
+    **/
+    constructor(client, {namespace = "mysql:", ttl = 0} = {}) {
+        this.client = client;
+        this.namespace = namespace;
+        this.ttl = ttl;
+    }
+
+    async get(key) {
+        const value = await this.client.get(this.namespace + key);
+
+        if (_.isNull(value) || _.isUndefined(value)) {
+            return;
+        }
+
+        return _.unserialize(value);
+    }
+
+    async set(key, value, ttl = this.ttl) {
+        const args = [this.namespace + key, _.serialize(value)];
+
+        if (ttl) {
+            args.push("EX", ttl);
+        }
+
+        await this.client.set(...args);
+
+        return true;
+    }
+
+    async delete(key) {
+        await this.client.del(this.namespace + key);
+
+        return true;
+    }
+
+    async clear() {
+        const keys = await this.client.keys(this.namespace + "*");
+
+        if (keys && keys.length) {
+            await this.client.del(...keys);
+        }
+
+        return true;
+    }
+}
+
+/**
+ The store used by every collection which does not set its own.
+**/
+export const defaultCache = new MemoryCache();
+
+/**
+ Returns a stable string out of the given value where object keys are sorted so that equal conditions
+ always produce the same key.
+
+ @param {*} value
+ @returns {string}
+**/
+export function normalizeKey(value) {
+    return _.serialize(sortKeys(value));
+}
+
+function sortKeys(value) {
+    if (_.isArray(value)) {
+        return value.map(sortKeys);
+    }
+
+    if (_.isDate(value)) {
+        return value.toISOString();
+    }
+
+    // Bigints cannot be serialized as JSON
+    if ("bigint" === typeof value) {
+        return `${value}n`;
+    }
+
+    // Collection instances, i.e. in join definitions, are identified by their table name
+    if (_.isObject(value) && _.isFunction(value.getName)) {
+        return value.getName();
+    }
+
+    if (_.isObject(value) && !_.isFunction(value)) {
+        const obj = {};
+
+        for(const key of _.keys(value).sort()) {
+            obj[key] = sortKeys(value[key]);
+        }
+
+        return obj;
+    }
+
+    return value;
+}
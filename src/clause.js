@@ -16,6 +16,12 @@ const operators = {
     $isNull: 'IS NULL'
 };
 
+const jsonOperators = {
+    $contains: 'JSON_CONTAINS(%s, ?)',
+    $arrayContains: 'JSON_CONTAINS(%s, ?)',
+    $hasKey: "JSON_CONTAINS_PATH(%s, 'one', ?)"
+};
+
 /**
  Transform the condition into a valid SQL `where` clause query string.
 
@@ -29,13 +35,30 @@ const operators = {
         {age: {$gt: 5}} = `age > ?`
         {name: {$like: "*me*"}} = `name LIKE ?`
 
+    A dotted property name starting with one of the `jsonColumns` refers to a path inside that column and the
+    JSON operators `$contains`, `$arrayContains` and `$hasKey` test the document, or the value at the path.
+    Example:
+        {"settings.theme": "dark"} = `JSON_UNQUOTE(JSON_EXTRACT(settings, ?)) = ?`
+        {settings: {$contains: {theme: "dark"}}} = `JSON_CONTAINS(settings, ?)`
+        {"settings.tags": {$arrayContains: "news"}} = `JSON_CONTAINS(JSON_EXTRACT(settings, ?), ?)`
+        {settings: {$hasKey: "theme"}} = `JSON_CONTAINS_PATH(settings, 'one', ?)`
+
+    The `$match` operator searches the columns of a `fulltext` index. See `matchClause` for details.
+    Example:
+        {title: {$match: "mysql"}} = `MATCH (title) AGAINST (?)`
+        {$match: {columns: ["title", "body"], against: "+mysql -oracle", mode: "boolean"}}
+            = `MATCH (title, body) AGAINST (? IN BOOLEAN MODE)`
+
  @param {array} format
     A list of data which holds the actual value of a columns.
  @param {string} table
+    The name or alias of the table the columns belong to. If omitted, the column names are used as is.
+ @param {array<string>} jsonColumns
+    The names of the `JSON` columns. Other dotted property names are used as is.
 
  @returns {string}
 **/
-export function whereClause(where, format, table) {
+export function whereClause(where, format, table, jsonColumns = []) {
     let sql = [];
 
     for(const key of Object.keys(where)) {
@@ -45,18 +68,24 @@ export function whereClause(where, format, table) {
             const $and = [];
 
             for(const $orWhere of value) {
-                $and.push(whereClause($orWhere, format, table));
+                $and.push(whereClause($orWhere, format, table, jsonColumns));
             }
 
             sql.push(`(${$and.join(" AND ")})`);
             continue;
         }
 
+        if ("$match" === key) {
+            sql.push(matchClause(value, format, table));
+
+            continue;
+        }
+
         if ("$or" === key) {
             const $or = [];
 
             for(const $orWhere of value) {
-                $or.push(whereClause($orWhere, format, table));
+                $or.push(whereClause($orWhere, format, table, jsonColumns));
             }
 
             sql.push(`(${$or.join(" OR ")})`);
@@ -64,16 +93,29 @@ export function whereClause(where, format, table) {
             continue;
         }
 
-        if (_.isObject(value)) {
+        // Binary and date values are compared as is
+        if (_.isObject(value) && !Buffer.isBuffer(value) && !_.isDate(value)) {
             for(const con of Object.keys(value)) {
                 const _value = value[con],
                     ops = operators[con];
 
+                if ("$match" === con) {
+                    sql.push(matchClause(columnMatch(key, _value), format, table));
+
+                    continue;
+                }
+
+                if (jsonOperators[con]) {
+                    sql.push(jsonCondition(key, con, _value, format, table, jsonColumns));
+
+                    continue;
+                }
+
                 if (!ops) {
                     continue;
                 }
 
-                sql.push(`${key} ${ops}`);
+                sql.push(`${columnName(key, table, format, jsonColumns)} ${ops}`);
 
                 if (_.contains(["$like", "$notLike"], con)) {
                     format.push(_value.replace(/\*/g, '%'));
@@ -88,12 +130,12 @@ export function whereClause(where, format, table) {
         }
 
         if (_.contains(["$isNull", "$exist"], value)) {
-            sql.push(`${table}.${key} ${operators[value]}`);
+            sql.push(`${columnName(key, table, format, jsonColumns)} ${operators[value]}`);
 
             continue;
         }
 
-        sql.push(`${table}.${key} = ?`);
+        sql.push(`${columnName(key, table, format, jsonColumns)} = ?`);
         format.push(value);
     }
 
@@ -105,14 +147,27 @@ export function whereClause(where, format, table) {
 
  @param {string|object} column
     The name of the column to sort the result set to or an object where the property name is the name of the column
-    and it's corresponding value is the sort order of the result set.
+    and it's corresponding value is the sort order of the result set. Use `$relevance` to sort by the relevance of
+    the `$match` condition, which must then be selected as `relevance`.
  @param {string} sortOrder
  @param {string} table
+ @param {array<string>} aliases
+    The names of the selected aliases, such as aggregated values, which are not prefixed by the table's name.
 
  @returns {string}
 **/
-export function orderBy(column, sortOrder = "DESC", table = false) {
-    const fromStr = (col, order) => table ? `${table}.${col} ${order}` : `${col} ${order}`;
+export function orderBy(column, sortOrder = "DESC", table = false, aliases = []) {
+    const fromStr = (col, order) => {
+        if ("$relevance" === col) {
+            return `relevance ${order}`;
+        }
+
+        if (_.contains(aliases, col)) {
+            return `\`${col}\` ${order}`;
+        }
+
+        return table ? `${table}.${col} ${order}` : `${col} ${order}`;
+    };
 
     if (_.isObject(column)) {
         const cols = [];
@@ -121,7 +176,7 @@ export function orderBy(column, sortOrder = "DESC", table = false) {
             cols.push(fromStr(col, column[col]));
         }
 
-        return `(${cols.join(", ")})`;
+        return cols.join(", ");
     }
 
     return fromStr(column, sortOrder);
@@ -150,19 +205,22 @@ export function limit(page = 1, perPage = 50) {
     may be a group order i.e. `ASC`, `DESC` or the name of an aggregiate function to use to group the result
     set.
  @param {string} groupOrder
+    The group order. Only supported by MySQL 5.x, omitted if not set.
  @param {string} table
     The name of the table collection where the condition will be applied.
 **/
-export function groupBy(column, groupOrder = "ASC", table = false) {
+export function groupBy(column, groupOrder = false, table = false) {
 
     if (_.isString(column)) {
-        return table ? `${table}.${column} ${groupOrder}` : `${column} ${groupOrder}`;
+        const _column = table ? `${table}.${column}` : column;
+
+        return groupOrder ? `${_column} ${groupOrder}` : _column;
     }
 
     if (_.isArray(column)) {
         const cols = column.map(col => groupBy(col, groupOrder, table));
 
-        return `(${cols.join(", ")})`;
+        return cols.join(", ");
     }
 
     // Assumes the condition is an object
@@ -179,6 +237,166 @@ export function groupBy(column, groupOrder = "ASC", table = false) {
     }
 }
 
-export function having(conds, format, table) {
-    return whereClause(conds, format, table);
+/**
+ Transforms the having condition into a valid SQL query string.
+
+ @param {object} conds
+    The conditions in the same format as `whereClause`. The column names are left unprefixed since they
+    usually refer to aggregated aliases.
+ @param {array} format
+ @returns {string}
+**/
+export function having(conds, format) {
+    return whereClause(conds, format);
+}
+
+/**
+ Transforms the full-text search condition into a `MATCH ... AGAINST` expression.
+
+ @param {object} match
+    {
+        @property {array<string>} columns
+            The columns to search. They must be the exact columns of a `fulltext` index.
+        @property {string} against
+            The search string.
+        @property {string} mode
+            The search mode. Options are `natural` or `boolean`. Default is `natural`.
+    }
+ @param {array} format
+ @param {string} table
+ @returns {string}
+**/
+export function matchClause(match, format, table) {
+    const columns = _.flatten([match.columns]).map(col => table ? `${table}.${col}` : col),
+        mode = "boolean" === match.mode ? " IN BOOLEAN MODE" : "";
+
+    format.push(match.against);
+
+    return `MATCH (${columns.join(", ")}) AGAINST (?${mode})`;
+}
+
+/**
+ Returns the first full-text search condition of the where conditions.
+
+ @param {object} where
+ @returns {object|Boolean}
+    Returns the condition in `matchClause` format or `false` if there's none.
+**/
+export function findMatch(where) {
+    for(const key of _.keys(where || {})) {
+        const value = where[key];
+
+        if ("$match" === key) {
+            return value;
+        }
+
+        if (_.contains(["$and", "$or"], key)) {
+            const found = _.find(value.map(findMatch), _.identity);
+
+            if (found) {
+                return found;
+            }
+
+            continue;
+        }
+
+        if (_.isObject(value) && _.has(value, "$match")) {
+            return columnMatch(key, value.$match);
+        }
+    }
+
+    return false;
+}
+
+/**
+ Returns the full-text search condition of the column's `$match` operator.
+
+ @private
+**/
+function columnMatch(column, value) {
+    return _.isObject(value) ? _.extend({columns: [column]}, value) : {columns: [column], against: value};
+}
+
+/**
+ Splits the dotted property name into the `JSON` column's name and the JSON path it refers to.
+
+ @param {string} key
+    The property name, i.e. `settings.theme` or `tags.0`.
+ @returns {[String, String|Boolean]}
+    Returns the column's name and the path or `false` if the property name is not dotted.
+**/
+export function jsonPath(key) {
+    const [column, ...segments] = String(key).split(".");
+
+    if (!segments.length) {
+        return [column, false];
+    }
+
+    const path = segments.map(seg => {
+        if (/^\d+$/.test(seg)) {
+            return `[${seg}]`;
+        }
+
+        return /^[a-z_$][\w$]*$/i.test(seg) ? `.${seg}` : `."${seg.replace(/"/g, '\\"')}"`;
+    });
+
+    return [column, `$${path.join("")}`];
+}
+
+/**
+ Splits the property name into the column's name and JSON path, only if the column is a `JSON` one.
+
+ @private
+**/
+function jsonColumnPath(key, jsonColumns) {
+    const [name, path] = jsonPath(key);
+
+    return path && _.contains(jsonColumns, name) ? [name, path] : [key, false];
+}
+
+/**
+ @private
+**/
+function columnName(column, table, format, jsonColumns) {
+    const [name, path] = jsonColumnPath(column, jsonColumns),
+        _name = table ? `${table}.${name}` : name;
+
+    if (!path) {
+        return _name;
+    }
+
+    format.push(path);
+
+    return `JSON_UNQUOTE(JSON_EXTRACT(${_name}, ?))`;
+}
+
+/**
+ Creates the condition of a JSON operator.
+
+ @private
+**/
+function jsonCondition(key, con, value, format, table, jsonColumns) {
+    const [name, path] = jsonColumnPath(key, jsonColumns),
+        _name = table ? `${table}.${name}` : name,
+        column = path ? `JSON_EXTRACT(${_name}, ?)` : _name;
+
+    if (path) {
+        format.push(path);
+    }
+
+    switch(con) {
+        case "$hasKey" :
+            format.push(jsonPath(`$.${value}`)[1]);
+            break;
+
+        case "$arrayContains" :
+            format.push(JSON.stringify(_.isArray(value) ? value : [value]));
+            break;
+
+        default :
+            format.push(JSON.stringify(value));
+            break;
+    }
+
+    return jsonOperators[con].replace("%s", column);
 }
\ No newline at end of file
@@ -1,6 +1,63 @@
 import * as _ from "./utils";
 import Table from "./table";
 import * as clause from "./clause";
+import {defaultCache, normalizeKey} from "./cache";
+import {Query} from "./query";
+import {throwable} from "./connect";
+import {events, asOperation} from "./instrument";
+import {ValidationError, NotFoundError, ConflictError, UnsafeOperationError} from "./errors";
+import {validateValue, isMissing} from "./validate";
+import crypto from "crypto";
+import mysql from "mysql";
+import {Transform} from "stream";
+
+/**
+ Holds the first collection created for each table, keyed by the server, database and table names. Used to
+ resolve the collection of a foreign table when joining.
+
+ @private
+**/
+const registry = new Map();
+
+/**
+ The SQL functions of the aggregate metrics.
+
+ @private
+**/
+const aggregates = {
+    $count: "COUNT",
+    $sum: "SUM",
+    $avg: "AVG",
+    $min: "MIN",
+    $max: "MAX"
+};
+
+const joinTypes = ["INNER", "LEFT", "RIGHT"];
+
+const hookEvents = ["beforeInsert", "afterInsert", "beforeUpdate", "afterUpdate", "beforeDelete", "afterDelete",
+    "afterFind"];
+
+/**
+ The number of rows read at once when recording the history of a change.
+
+ @private
+**/
+const auditBatchSize = 500;
+
+/**
+ The columns of the history table kept alongside the collections which set the `history` option.
+
+ @private
+**/
+const historySchema = {
+    Id: {type: "Id"},
+    operation: {type: "String", length: 10, required: true},
+    rowId: {type: "String", length: 64, required: true, index: true},
+    before: {type: "JSON"},
+    after: {type: "JSON"},
+    actor: {type: "String", length: 64},
+    createdAt: {type: "DateTime", defaultValue: true}
+};
 
 export class Collection extends Table {
     /**
@@ -13,8 +70,9 @@ export class Collection extends Table {
         while it's value is another object which sets how a column should be.
         {
             @property {string} type
-                The column type. Options are: Id|Date|DateTime|Timestamp|String|Int|Object|Array|Boolean|
-                Float|Enum|ForeignId
+                The column type. Options are: Id|Date|DateTime|Timestamp|Time|Year|String|Text|MediumText|
+                LongText|Int|TinyInt|SmallInt|BigInt|Decimal|Float|Object|Array|Boolean|Enum|ForeignId|Binary|
+                Blob|MediumBlob|LongBlob|UUID|JSON
 
                 If the column type is `Id`, it is created as unsigned BIG integer which incremented
                 for every new data insertion.
@@ -27,15 +85,48 @@ export class Collection extends Table {
 
                 The values for types `Object` and `Array` are automattically serialized when saving into the
                 database and unserialize when retrieving the data.
+
+                If the column type is `JSON`, the value is stored as a native JSON document which can be
+                queried with dotted property names and the JSON operators. See `clause.whereClause`.
+
+                The values of `Decimal` columns are returned as strings to keep their precision. `BigInt` values
+                may be given as JS bigint.
+
+                The values of `Binary` and `Blob` columns are returned as Buffers.
+
+                If the column type is `UUID`, it is stored as BINARY(16) and returned as string. A random UUID
+                is generated on insert when the value is missing.
             
             @property {boolean} required
                 Whether the value of the column must be present.
             @property {boolean} index
                 Whether the column will be indexed.
             @property {int} length
-                Use in `String` and `Int` column type.
+                Use in `String` and `Int` column type. The length of a `String` value is validated against it.
+            @property {boolean} unsigned
+                Use in the integer and `Decimal` column types. Whether the column is unsigned.
+            @property {int} precision
+            @property {int} scale
+                Use in `Decimal` column type. The total number of digits and the number of decimals. Default
+                are `10` and `2`.
+            @property {number} min
+            @property {number} max
+                The range of a numeric value.
+            @property {int} minLength
+            @property {int} maxLength
+                The range of the length of a string or array value.
+            @property {RegExp|string} pattern
+                The pattern a string value must match.
+            @property {boolean} email
+                Whether the value must be an email address.
+            @property {boolean} url
+                Whether the value must be a URL.
             @property {boolean} unique
                 Whether the column's value must be unique.
+            @property {boolean} version
+                Use in `Int` column type. Whether the column holds the row's version, set to `1` on insert and
+                incremented by every update. When the version is given to `update`, the row is only updated if
+                it's version still matches, otherwise a `ConflictError` is returned.
             @property {array} enum
                 Use to enumerate the values of the column's `Enum` type.
             @property {object} foreign
@@ -77,16 +168,209 @@ export class Collection extends Table {
         }
      @param {object} config
         The database configuration to use on establishing connection and making transactions.
+        {
+            @property {object|Boolean} cache
+                The cache store where query results are kept. Defaults to a shared in-memory store.
+                Set `false` to disable caching.
+            @property {int} cacheTTL
+                The number of seconds query results are kept in the cache.
+        }
+     @param {object|function} options
+        Additional options defining how the collection behaves. For backward compatibility, the `onCached`
+        function may be passed instead, followed by the `onClearCached` function.
+        {
+            @property {function} onCached
+                A function called after a query result is cached.
+                {
+                    @param {string} key
+                    @param {*} results
+                    @param {object<Collection>} collection
+                }
+            @property {function} onClearCached
+                A function called after the cached results of the table collection are invalidated.
+                {
+                    @param {string} table
+                    @param {object<Collection>} collection
+                }
+            @property {string|Boolean} softDelete
+                The name of the column where the deletion time is set instead of removing the row. If `true`,
+                the column is named `deletedAt`. The column is added to the schema automatically.
+            @property {object} hooks
+                An object where the property name is the event and it's value is the function, or list of
+                functions, to execute. See `on` for details.
+            @property {array<object>} indexes
+                The list of indexes which spans over one or more columns, created by `create` and `alter`.
+                See `Table` for details.
+            @property {Boolean} readOnly
+                Whether every insert, update and delete is refused.
+            @property {Boolean} requireConditions
+                Whether `update` and `delete` are refused when no `where` conditions are given, unless the
+                conditions set `all` to `true`. Default is `true`.
+            @property {int} maxAffectedRows
+                The maximum number of rows a single update or delete statement may change. The statement is
+                rolled back when it changes more.
+            @property {Boolean} history
+                Whether the changes made by `insert`, `insertMany`, `update`, `updateMany`, `delete`, `forceDelete`
+                and `restore` are recorded in the `<name>_history` table, created along the collection's table.
+                Each change is recorded within the same transaction. Upserts, replacements and ignored inserts
+                are refused. See `history` and `withContext`.
+        }
+    **/
+    constructor(name, schema, config = false, options = {}, onClearCached = null) {
+        if (!options || _.isFunction(options)) {
+            options = {onCached: options, onClearCached};
+        }
+
+        const softDelete = true === options.softDelete ? "deletedAt" : options.softDelete || false;
+
+        if (softDelete && !schema[softDelete]) {
+            schema = _.extend({}, schema, _.object([softDelete], [{type: "DateTime"}]));
+        }
+
+        super(name, schema, config, options);
+
+        this.options = options;
+        this.cache = false === this.config.cache ? null : this.config.cache || defaultCache;
+        this.onCached = options.onCached;
+        this.onClearCached = options.onClearCached;
+        this.softDelete = softDelete;
+        this.versionColumn = _.find(_.keys(schema), key => schema[key].version) || false;
+
+        _.devAssert(!options.history || !!this.__primaryKey(), `${name} needs a primary key to keep a history!`);
+
+        this.historyTable = options.history ? new Collection(`${name}_history`, historySchema, config) : null;
+        this.context = {};
+        this.hooks = _.object(hookEvents, hookEvents.map(() => []));
+
+        for(const event of _.keys(options.hooks || {})) {
+            for(const hook of _.flatten([options.hooks[event]])) {
+                this.on(event, hook);
+            }
+        }
+
+        if (!registry.has(this.__cacheNamespace())) {
+            registry.set(this.__cacheNamespace(), this);
+        }
+    }
+
+    /**
+     Adds a function to execute during the collection's operations.
+
+     @param {string} event
+        The operation's event. Options are:
+            `beforeInsert`  Receives the columns to insert. Executed for each row on bulk operations.
+            `afterInsert`   Receives the inserted id, or list of ids on bulk operations.
+            `beforeUpdate`  Receives the columns to update along with the conditions.
+            `afterUpdate`   Receives the update result along with the columns and conditions. Executed for
+                            each update on `updateMany`.
+            `beforeDelete`  Receives the conditions of the rows to delete.
+            `afterDelete`   Receives the delete result along with the conditions.
+            `afterFind`     Receives the results fetched from the database, before they are cached.
+     @param {function} hook
+        The function to execute. It may be asynchronous.
+        {
+            @param {*} payload
+            @param {object} context
+                {
+                    @property {string} event
+                    @property {object<Collection>} collection
+                    @property {object} columns
+                    @property {object} conditions
+                }
+            @returns {*}
+                A new payload to replace the current one, an error to cancel the operation or `undefined`
+                to leave the payload as is. The value returned by `afterInsert`, `afterUpdate` and
+                `afterDelete` is ignored, and their errors are emitted as `hookError` events since the
+                write is already done.
+        }
+     @returns {object<Collection>}
+    **/
+    on(event, hook) {
+        _.devAssert(_.contains(hookEvents, event), `Invalid event ${event}!`);
+        _.devAssert(_.isFunction(hook), 'Invalid hook!');
+
+        this.hooks[event].push(hook);
+
+        return this;
+    }
+
+    /**
+     Creates the table collection in the database, along with it's history table if the `history` option
+     is set.
+
+     @param {object} options
+        Additional options defining how the tables must be created.
+     @returns {Promise<[Error, Boolean]>}
+    **/
+    async create(options = {}) {
+        const [err, done] = await super.create(options);
+
+        if (err || !this.historyTable) {
+            return [err, done];
+        }
+
+        return this.__historyTable().create(options);
+    }
+
+    /**
+     Removes the table collection from the database, along with it's history table if the `history` option
+     is set.
+
+     @returns {Promise<[Error, Boolean]>}
+    **/
+    async drop() {
+        const [err, done] = await super.drop();
+
+        if (err || !this.historyTable) {
+            return [err, done];
+        }
+
+        return this.__historyTable().drop();
+    }
+
+    /**
+     Returns a copy of the collection which records the given context along the changes it makes.
+
+     @param {object} context
+        {
+            @property {string|int} actor
+                The id of who makes the changes.
+        }
+     @returns {object<Collection>}
     **/
-    constructor(name, schema, config = false, onCached = null, onClearCached = null) {
-        super(name, schema, config);
+    withContext(context) {
+        const bound = Object.create(this);
+
+        bound.context = context || {};
+
+        return bound;
+    }
+
+    /**
+     Returns the recorded changes of a row, oldest first.
 
-        this.cachedData = Object.create(null);
-        this.onCached = onCached;
-        this.onClearCached = onClearCached;
+     @param {string|int} id
+        The row's primary key.
+     @returns {Promise<[Error, Array<object>]>}
+        {
+            @property {string} operation
+                Either `insert`, `update`, `delete` or `restore`.
+            @property {string} rowId
+            @property {object} before
+                The changed columns' values before the change, or `null` on insert.
+            @property {object} after
+                The changed columns' values after the change, or `null` when the row was removed.
+            @property {string} actor
+                The `actor` set through `withContext`, if any.
+            @property {string} createdAt
+        }
+    **/
+    history(id) {
+        if (!this.historyTable) {
+            return Promise.resolve([new Error(`${this.getName()} does not keep a history!`)]);
+        }
 
-        // Bind methods for convenience
-        this.__filterResult = this.__filterResult.bind(this);
+        return this.__historyTable().find({where: {rowId: String(id)}, orderBy: "Id", order: "ASC"});
     }
 
     /**
@@ -97,201 +381,2255 @@ export class Collection extends Table {
         is the actual value to insert in the database.
      @returns {Promise<[Error, *]>}
     **/
-    async insert(columns) {
-        const error = {},
-            _columns = await this.__prepareColumnsForInsert(columns, error);
+    insert(columns) {
+        return this.__insertOne(`INSERT INTO`, columns, false, res => this.__filterResult(res));
+    }
 
-        if (!_.isEmpty(error)) {
-            return [_.setError(error.message, error.code)];
+    /**
+     Inserts multiple data into the database. Columns missing from some of the rows are set to their
+     default value.
+
+     @param {array<object>} columns
+        A list of columns data object to insert into.
+     @param {object} options
+        {
+            @property {int} chunkSize
+                The maximum number of rows inserted per statement. When set, returns the list of each chunk's
+                result as `{rows, result}` where `result` is the list of inserted ids. Chunks inserted before
+                an error are kept, unless executed within a transaction, and set at the error's `chunks`.
         }
+     @returns {Promise<[Error, *]>}
+    **/
+    insertMany(columns = [], options = {}) {
+        return this.__insertRows(`INSERT INTO`, columns, false, res => this.__filterResult(res), options.chunkSize);
+    }
+
+    /**
+     Inserts row data in the database or updates the existing row when the data conflicts with a unique
+     or primary key.
 
-        return this.exec(`INSERT INTO ?? SET ?`, [this.getName(), _columns])
-            .then(this.__filterResult);
+     @param {object} columns
+        An object consisting the column/value to insert.
+     @param {object} options
+        {
+            @property {array} conflict
+                The list of unique columns expected to conflict. These columns are left unchanged on update.
+            @property {array|object} update
+                The list of columns to update with the inserted values or an object where the property name
+                is the column's name and it's value is the value to set instead. Default are all supplied
+                columns except the conflicting ones.
+        }
+     @returns {Promise<[Error, Int|Boolean]>}
+        Returns the id of the inserted or updated row.
+    **/
+    upsert(columns, options = {}) {
+        return this.__insertOne(`INSERT INTO`, columns, options, res => this.__returnInsertId(res));
     }
 
     /**
-     Inserts multiple data into the database.
+     Inserts or updates multiple data into the database. See `upsert` and `insertMany` for the options.
 
      @param {array<object>} columns
-        A list of columns data object to insert into.
-     @returns {Promise<[Error, *]>}
+     @param {object} options
+     @returns {Promise<[Error, Int]>}
+        Returns the number of affected rows. Each updated row counts twice.
+    **/
+    upsertMany(columns = [], options = {}) {
+        return this.__insertRows(`INSERT INTO`, columns, options, res => this.__returnAffectedRows(res),
+            options.chunkSize);
+    }
+
+    /**
+     Inserts row data in the database unless it conflicts with an existing unique or primary key.
+
+     @param {object} columns
+     @returns {Promise<[Error, Int|Boolean]>}
+        Returns the inserted id or `false` if the data was ignored.
+    **/
+    insertIgnore(columns) {
+        return this.__insertOne(`INSERT IGNORE INTO`, columns, false, res => this.__returnInsertId(res));
+    }
+
+    /**
+     Inserts multiple data into the database skipping those which conflict with an existing unique or
+     primary key.
+
+     @param {array<object>} columns
+     @param {object} options
+        See `insertMany` for details.
+     @returns {Promise<[Error, Int]>}
+        Returns the number of inserted rows.
+    **/
+    insertIgnoreMany(columns = [], options = {}) {
+        return this.__insertRows(`INSERT IGNORE INTO`, columns, false, res => this.__returnAffectedRows(res),
+            options.chunkSize);
+    }
+
+    /**
+     Inserts row data in the database, deleting first the existing row it conflicts with.
+
+     @param {object} columns
+     @returns {Promise<[Error, Int|Boolean]>}
+        Returns the inserted id.
+    **/
+    replace(columns) {
+        return this.__insertOne(`REPLACE INTO`, columns, false, res => this.__returnInsertId(res));
+    }
+
+    /**
+     Inserts multiple data into the database, deleting first the existing rows they conflict with.
+
+     @param {array<object>} columns
+     @param {object} options
+        See `insertMany` for details.
+     @returns {Promise<[Error, Int]>}
+        Returns the number of affected rows. Each replaced row counts twice.
+    **/
+    replaceMany(columns = [], options = {}) {
+        return this.__insertRows(`REPLACE INTO`, columns, false, res => this.__returnAffectedRows(res),
+            options.chunkSize);
+    }
+
+    /**
+     Updates data in the database base on the given condition.
+
+     @param {object} columns
+        An object containing the updated data. A dotted property name, i.e. `settings.theme`, only changes
+        the value at that path of a `JSON` column, or removes it if the value is `{$remove: true}`. The value of the
+        version column, if any, is the version the row is expected to be at.
+     @param {object} conditions
+        The conditions that must be met for an update to take place. Set `all` to `true` to update every
+        row when there are no `where` conditions.
+     @returns {Promise<[Error, Boolean]>}
     **/
-    async insertMany(columns = []) {
+    async update(columns, conditions = {}) {
+        const unsafe = this.__refuseUnsafe(conditions, "update");
+
+        if (unsafe) {
+            return [unsafe];
+        }
+
+        const [hookErr, _updates] = await this.__runHooks("beforeUpdate", columns, {conditions});
+
+        if (hookErr) {
+            return [hookErr];
+        }
+
+        columns = _updates;
+
         const error = {},
-            list = [];
+            _columns = await this.__prepareColumnsForUpdate(columns, error),
+            version = this.versionColumn ? columns[this.versionColumn] : null;
+
+        if (!_.isEmpty(error)) {
+            return [this.__validationError(error)];
+        }
+
+        const [jsonErr, paths] = this.__prepareJsonPaths(columns);
+
+        if (jsonErr) {
+            return [jsonErr];
+        }
+
+        if (_.isEmpty(_columns) && _.isEmpty(paths)) {
+            return [new ValidationError('No columns to update!', {}, 'missing_value')];
+        }
+
+        let table = this.getName(),
+            format = [table],
+            sets = [];
+
+        if (!_.isEmpty(_columns)) {
+            sets.push("?");
+            format.push(_columns);
+        }
+
+        // Only change the given paths of the JSON documents
+        for(const column of _.keys(paths)) {
+            let expr = "COALESCE(??, JSON_OBJECT())",
+                values = [column, column];
+
+            for(const [path, value] of paths[column]) {
+                if (_.isEqual(value, {$remove: true})) {
+                    expr = `JSON_REMOVE(${expr}, ?)`;
+                    values.push(path);
+
+                    continue;
+                }
+
+                expr = `JSON_SET(${expr}, ?, CAST(? AS JSON))`;
+                values.push(path, JSON.stringify(value));
+            }
+
+            sets.push(`?? = ${expr}`);
+            format.push(...values);
+        }
+
+        if (this.versionColumn) {
+            sets.push(`?? = ?? + 1`);
+            format.push(this.versionColumn, this.versionColumn);
+        }
+
+        const versioned = this.__versionConditions(conditions, version);
+
+        let sql = `UPDATE ?? SET ${sets.join(", ")}`;
+
+        // Get conditions
+        sql += this.__getConditions(versioned, format);
+
+        const changed = _.compact(_.keys(_columns).concat(_.keys(paths), [this.versionColumn]));
+
+        return this.__audited("update", versioned, conn => conn.__execLimited(sql, format), null, changed)
+            .then(res => this.__returnConflict(res, version))
+            .then(res => this.__filterResult(res))
+            .then(res => this.__afterHooks("afterUpdate", res, {columns, conditions}));
+    }
+
+    /**
+     Updates many rows at once, each with it's own values. The rows matched by the updates' conditions are
+     locked and read first, then updated in a single statement, or one per chunk, where each column is set
+     through a `CASE WHEN` over the rows' primary keys. Without a primary key, each update is executed on it's
+     own within the same transaction. A row given with a version which no longer matches fails the whole
+     statement with a `ConflictError` listing the indexes of the conflicting updates in it's `updates`.
+
+     @param {array<object>} updates
+        {
+            @property {object} where
+                The conditions the rows to update must met.
+            @property {object} set
+                The updated data.
+        }
+     @param {object} options
+        {
+            @property {int} chunkSize
+                The maximum number of updates per statement. When set, returns the list of each chunk's
+                result as `{rows, result}` where `result` is the number of changed rows.
+        }
+     @returns {Promise<[Error, Int]>}
+        Returns the number of changed rows.
+    **/
+    async updateMany(updates = [], options = {}) {
+        if (this.options.readOnly) {
+            return [this.__readOnlyError()];
+        }
+
+        const list = [],
+            details = {};
+
+        for(const [index, {where, set}] of updates.entries()) {
+            const [hookErr, _set] = await this.__runHooks("beforeUpdate", set, {conditions: {where}});
+
+            if (hookErr) {
+                return [hookErr];
+            }
+
+            const error = {},
+                columns = await this.__prepareColumnsForUpdate(_set || {}, error);
 
-        for(const column of columns) {
             if (!_.isEmpty(error)) {
-                return [_.setError(error.message, error.code)];
+                details[index] = error.details;
+
+                continue;
             }
 
-            const _column = await this.__prepareColumnsForInsert(column, this.schema, error);
+            if (!where || _.isEmpty(where) || _.isEmpty(columns)) {
+                details[index] = !where || _.isEmpty(where) ? 'Missing update conditions!' : 'No columns to update!';
 
-            list.push(_column);
+                continue;
+            }
+
+            const version = this.versionColumn ? _set[this.versionColumn] : null;
+
+            list.push({
+                where: this.__versionConditions({where}, version).where,
+                set: columns,
+                version,
+                index,
+                columns: _set,
+                conditions: {where}
+            });
+        }
+
+        if (!_.isEmpty(details)) {
+            const indexes = _.keys(details);
+
+            return [new ValidationError(`Invalid updates at ${indexes.join(", ")}!`, details)];
+        }
+
+        return this.__inChunks(list, options.chunkSize, chunk => this.__updateRows(chunk));
+    }
+
+    /**
+     Removes data in the database. If the collection uses soft deletes, the deletion time is set instead.
+
+     @param {object} conditions
+        The conditions to met prior to deleting the data. Set `all` to `true` to delete every row when there
+        are no `where` conditions.
+     @returns {Promise<[Error, Boolean]>}
+    **/
+    delete(conditions = {}) {
+        return this.__delete(conditions, !!this.softDelete);
+    }
+
+    /**
+     Removes data in the database even if the collection uses soft deletes.
+
+     @param {object} conditions
+        The conditions to met prior to deleting the data. See `delete`.
+     @returns {Promise<[Error, Boolean]>}
+    **/
+    forceDelete(conditions = {}) {
+        return this.__delete(conditions, false);
+    }
+
+    /**
+     Recovers the soft deleted data.
+
+     @param {object} conditions
+        The conditions to met prior to recovering the data.
+     @returns {Promise<[Error, Boolean]>}
+    **/
+    restore(conditions = {}) {
+        if (!this.softDelete) {
+            return Promise.resolve([new Error(`${this.getName()} does not use soft deletes!`)]);
+        }
+
+        if (this.options.readOnly) {
+            return Promise.resolve([this.__readOnlyError()]);
+        }
+
+        conditions = this.__scopeTrashed(_.extend({}, conditions, {withTrashed: false, onlyTrashed: true}));
+
+        return this.__setDeletedAt("NULL", conditions);
+    }
+
+    /**
+     Validates the columns' values without saving them.
+
+     @param {object} columns
+     @param {string} mode
+        Either `insert`, where all columns are checked, or `update` where only the supplied columns are.
+     @returns {Promise<[Error, Boolean]>}
+        Returns a `ValidationError` listing every failing column in it's `details`.
+    **/
+    async validate(columns, mode = "insert") {
+        const error = {};
+
+        await this.__prepareColumns(columns, mode, error);
+
+        if (error.message) {
+            return [this.__validationError(error)];
+        }
+
+        return [null, true];
+    }
+
+    /**
+     Find data in the database.
+
+     @param {object} conditions
+        The conditions to met prior to retrieving the datas.
+        {
+            @property {Boolean} withTrashed
+                Whether to include the soft deleted rows.
+            @property {Boolean} onlyTrashed
+                Whether to only return the soft deleted rows.
+            @property {string|array|object} join
+                The related table collections to join. Either the name or list of names of the columns having
+                a `foreign` definition, or an object where the property name is such column, or an alias, and
+                it's value defines the join.
+                {
+                    @property {object<Collection>} collection
+                        The related collection. If omitted, the collection created for the foreign table is used.
+                    @property {string} type
+                        The join type. Options are `inner`, `left` or `right`. Default is `left`.
+                    @property {object} on
+                        An object where the property name is the column's name of this collection and it's
+                        value is the column's name of the related collection. Required when not joining
+                        through a `foreign` definition.
+                    @property {array|object} columns
+                        The list of columns to select or an object where the property name is the alias and
+                        it's value is the column's name. Default are all columns of the related collection.
+                    @property {object} where
+                        Additional conditions the related rows must met.
+                    @property {string} as
+                        The property name where the related row is nested at. Default is the name of the
+                        related collection.
+                }
+        }
+
+     @returns {Promise<[Error, Array<*>]>}
+    **/
+    async find(conditions) {
+        conditions = conditions || {};
+
+        const [err, sql, format, joins] = this.__selectStatement(conditions);
+
+        if (err) {
+            return [err];
+        }
+
+        const cachedKey = await this.__createCachedKey(conditions, _.pluck(joins, "collection")),
+            cached = await this.__getCached(cachedKey);
+
+        if (!_.isEmpty(cached)) {
+            return [null, cached];
         }
 
-        const keys = Object.keys(list[0]),
-            values = list.map(Object.values);
+        return this.read(sql, format)
+            .then(res => this.__nestJoins(res, joins))
+            .then(res => this.__prepareResults(res))
+            .then(res => this.__afterHooks("afterFind", res, {conditions}))
+            .then(res => this.__cached(cachedKey, res));
+    }
+
+    /**
+     Streams the rows found in the database one at a time instead of buffering the whole result. The
+     rows are read from the same server as `find` and the statement is reported through the query events,
+     but the streamed rows are never cached.
+
+     @param {object} conditions
+        The conditions to met prior to retrieving the datas. See `find` for details.
+     @param {object} options
+        {
+            @property {int} batchSize
+                If set, the rows are emitted in arrays of up to the given number of rows.
+            @property {int} highWaterMark
+                The number of rows to buffer before the database connection is paused. Default is `100`.
+        }
+     @returns {object<Readable>}
+        An object mode readable stream, which is also an async iterator.
+    **/
+    stream(conditions = {}, {batchSize = 0, highWaterMark = 100} = {}) {
+        const [err, sql, format, joins] = this.__selectStatement(conditions || {});
+
+        let batch = [];
+
+        const output = new Transform({
+            objectMode: true,
+            highWaterMark,
+            transform: (row, enc, done) => {
+                const [, [_row]] = this.__nestJoins([null, [row]], joins);
+
+                this.__prepareColumnsForDisplay(_row);
+
+                if (!batchSize) {
+                    return done(null, _row);
+                }
+
+                batch.push(_row);
+
+                if (batch.length >= batchSize) {
+                    const rows = batch;
+
+                    batch = [];
+
+                    return done(null, rows);
+                }
+
+                done();
+            },
+            flush: done => {
+                if (batch.length) {
+                    return done(null, batch);
+                }
+
+                done();
+            }
+        });
+
+        if (err) {
+            process.nextTick(() => output.destroy(err));
+
+            return output;
+        }
+
+        asOperation("stream", () => this.__streamRead(sql, format, output, highWaterMark));
+
+        return output;
+    }
+
+    /**
+     Returns a single row data from the database.
+
+     @param {string} columns
+     @param {object} whereClause
+        The set of conditions to met prior to retrieving the data.
+     @param {object} options
+        {
+            @property {string|array|object} join
+                The related table collections to join. See `find` for details.
+            @property {Boolean} withTrashed
+            @property {Boolean} onlyTrashed
+            @property {Boolean} required
+                Whether to return a `NotFoundError` when no row matches.
+        }
+     @returns {Promise<[Error, Object]>}
+    **/
+    findOne(columns, whereClause = {}, options = {}) {
+        const conditions = _.extend(_.omit(options, "required"), {columns, where: whereClause});
+
+        return this.find(conditions).then(res => this.__returnOne(res, options.required));
+    }
+
+    /**
+     Get the column value from the database.
+
+     @param {string} column
+        The name of the table's column to get the data from.
+     @param {object} whereClause
+        The set of conditions to met prior to retrieving the column value.
+     @param {object} options
+        See `findOne` for details.
+     @returns {Promise<[Error, *]>}
+    **/
+    getValue(column, whereClause = {}, options = {}) {
+        return this.findOne(column, whereClause, options).then(res => this.__returnValue(res, column));
+    }
+
+    /**
+     Returns a chainable query builder of the collection.
+
+     @returns {object<Query>}
+    **/
+    query() {
+        return new Query(this);
+    }
+
+    /**
+     Returns a page of the rows along with the pagination details.
+
+     If neither `after`, `before` nor `cursor` is set, the rows are paged by offset and the total number of
+     rows is counted. Otherwise the rows are paged by the values of the `orderBy` columns and the primary key,
+     which stays stable while rows are added or removed. The `orderBy` columns must not hold `NULL` values.
+
+     @param {object} conditions
+        The conditions to met prior to retrieving the datas. See `find` for details.
+        {
+            @property {int} page
+                The page number of the offset pagination. Default is `1`.
+            @property {int} perPage
+                The number of rows per page. Default is `50`.
+            @property {string} after
+                The cursor of the row the page starts after. Use `null` to get the first page.
+            @property {string} before
+                The cursor of the row the page ends before.
+            @property {Boolean} cursor
+                Whether to get the first page of the cursor pagination.
+        }
+     @returns {Promise<[Error, Object]>}
+        For the offset pagination:
+        {
+            @property {array<object>} items
+            @property {int} total
+            @property {int} page
+            @property {int} perPage
+            @property {int} pageCount
+        }
+        For the cursor pagination:
+        {
+            @property {array<object>} items
+            @property {int} perPage
+            @property {object} pageInfo
+                {
+                    @property {Boolean} hasNextPage
+                    @property {Boolean} hasPreviousPage
+                    @property {string} startCursor
+                    @property {string} endCursor
+                }
+        }
+    **/
+    async paginate(conditions = {}) {
+        const perPage = parseInt(conditions.perPage) || 50;
+
+        if (_.has(conditions, "after") || _.has(conditions, "before") || conditions.cursor) {
+            return this.__paginateByCursor(conditions, perPage);
+        }
+
+        const page = Math.max(parseInt(conditions.page) || 1, 1),
+            [err, items] = await this.find(_.extend(_.omit(conditions, "cursor"), {page, perPage}));
+
+        if (err) {
+            return [err];
+        }
+
+        const [countErr, total] = await this.__paginateTotal(conditions);
+
+        if (countErr) {
+            return [countErr];
+        }
+
+        return [null, {items, total, page, perPage, pageCount: Math.ceil(total / perPage)}];
+    }
+
+    /**
+     Returns the number of rows the pages are taken from. With a join or `groupBy`, counts the rows of the same
+     statement as `find` so that the joined rows and the groups are counted as `find` returns them.
+
+     @private
+
+     @param {object} conditions
+     @returns {Promise<[Error, Int]>}
+    **/
+    async __paginateTotal(conditions) {
+        if (!conditions.join && !conditions.groupBy) {
+            return this.count("*", conditions.where || {}, _.pick(conditions, "withTrashed", "onlyTrashed"));
+        }
+
+        const _conditions = _.omit(conditions, "orderBy", "order", "page", "perPage", "cursor"),
+            [err, sql, format, joins] = this.__selectStatement(_conditions);
+
+        if (err) {
+            return [err];
+        }
+
+        const cachedKey = await this.__createCachedKey(_.extend({total: true}, _conditions), _.pluck(joins, "collection")),
+            cached = await this.__getCached(cachedKey);
+
+        if (!_.isEmpty(cached)) {
+            return [null, cached.total];
+        }
+
+        return this.read(`SELECT COUNT(*) AS \`total\` FROM (${sql}) AS \`paginated\``, format)
+            .then(([err2, rows]) => err2 ? [err2] : [null, _.first(rows)])
+            .then(res => this.__cached(cachedKey, res))
+            .then(([err2, row]) => err2 ? [err2] : [null, row ? row.total : 0]);
+    }
+
+    /**
+     Computes aggregated values of the rows, optionally per group of rows.
+
+     @param {object} options
+        {
+            @property {object} metrics
+                An object where the property name is the alias of the computed value and it's value defines
+                the function and column to compute, i.e. `{total: {$sum: "amount"}}`. Functions are `$count`,
+                `$sum`, `$avg`, `$min` and `$max`. Use `*` as column to count all rows.
+            @property {string|array<string>} groupBy
+                The column, or list of columns, to group the rows at.
+            @property {object} where
+                The conditions the rows must met.
+            @property {object} having
+                The conditions the groups must met, in `where` format using the metric aliases.
+            @property {string|object} orderBy
+            @property {string} order
+            @property {int} page
+            @property {int} perPage
+            @property {Boolean} withTrashed
+            @property {Boolean} onlyTrashed
+        }
+     @returns {Promise<[Error, Object|Array<object>]>}
+        Returns an object holding the computed values or, if `groupBy` is set, the list of objects holding the
+        group columns and the computed values of each group. The values computed over `Decimal` columns are
+        returned as strings.
+    **/
+    async aggregate(options = {}) {
+        const {metrics = {}, groupBy} = options,
+            table = this.getName(),
+            groups = groupBy ? _.flatten([groupBy]) : [],
+            columns = groups.map(() => "??"),
+            format = groups.map(col => `${table}.${col}`);
+
+        for(const alias of _.keys(metrics)) {
+            const metric = metrics[alias],
+                fn = _.first(_.keys(metric)),
+                column = metric[fn];
+
+            if (!aggregates[fn]) {
+                return [new ValidationError(`Invalid aggregate function ${fn}!`, _.object([alias], [`Invalid aggregate function ${fn}!`]))];
+            }
+
+            if ("*" !== column) {
+                format.push(`${table}.${column}`);
+            }
+
+            // The alias is never qualified, even if it holds a dot
+            columns.push(`${aggregates[fn]}(${"*" === column ? "*" : "??"}) AS ${mysql.escapeId(alias, true)}`);
+        }
+
+        if (!columns.length) {
+            return [new ValidationError('No metrics to compute!', {}, 'missing_value')];
+        }
+
+        const conditions = _.extend(_.pick(options, "where", "having", "orderBy", "order", "page", "perPage", "withTrashed",
+                "onlyTrashed"), {groupBy: groups.length ? groups : false}),
+            cachedKey = await this.__createCachedKey(_.extend({aggregate: metrics}, conditions)),
+            cached = await this.__getCached(cachedKey);
+
+        if (!_.isEmpty(cached)) {
+            return [null, cached];
+        }
+
+        format.push(table);
+
+        let sql = `SELECT ${columns.join(", ")} FROM ??`;
+
+        sql += this.__getConditions(this.__scopeTrashed(conditions), format, _.keys(metrics));
+
+        return this.read(sql, format)
+            .then(res => this.__prepareAggregates(res, metrics, groups))
+            .then(res => this.__cached(cachedKey, res));
+    }
+
+    /**
+     Returns the number of rows.
+
+     @param {string} column
+        The column which value must not be `NULL` for the row to be counted. Default is `*` to count all rows.
+     @param {object} where
+     @param {object} options
+        See `aggregate` for details.
+     @returns {Promise<[Error, Int]>}
+    **/
+    count(column = "*", where = {}, options = {}) {
+        return this.__aggregateValue("$count", column, where, options);
+    }
+
+    /**
+     Returns the sum of the column's values.
+
+     @param {string} column
+     @param {object} where
+     @param {object} options
+        See `aggregate` for details.
+     @returns {Promise<[Error, Number]>}
+    **/
+    sum(column, where = {}, options = {}) {
+        return this.__aggregateValue("$sum", column, where, options);
+    }
+
+    /**
+     Returns the average of the column's values.
+
+     @param {string} column
+     @param {object} where
+     @param {object} options
+        See `aggregate` for details.
+     @returns {Promise<[Error, Number]>}
+    **/
+    avg(column, where = {}, options = {}) {
+        return this.__aggregateValue("$avg", column, where, options);
+    }
+
+    /**
+     Returns the lowest of the column's values.
+
+     @param {string} column
+     @param {object} where
+     @param {object} options
+        See `aggregate` for details.
+     @returns {Promise<[Error, *]>}
+    **/
+    min(column, where = {}, options = {}) {
+        return this.__aggregateValue("$min", column, where, options);
+    }
+
+    /**
+     Returns the highest of the column's values.
+
+     @param {string} column
+     @param {object} where
+     @param {object} options
+        See `aggregate` for details.
+     @returns {Promise<[Error, *]>}
+    **/
+    max(column, where = {}, options = {}) {
+        return this.__aggregateValue("$max", column, where, options);
+    }
+
+    /**
+     Returns a stable key out of the given conditions. The key includes the current cache version
+     of the table collection, and of each joined collection, so that invalidating any of the tables
+     affects every instance using it.
+
+     @private
+
+     @param {object} conditions
+     @param {array<Collection>} joined
+        The collections joined in the query.
+     @returns {Promise<string|null>}
+        Returns null when the results cannot be cached.
+    **/
+    async __createCachedKey(conditions, joined = []) {
+        // The results of a joined table without a cache are never invalidated
+        if (!this.cache || _.some(joined, collection => !collection.cache)) {
+            return null;
+        }
+
+        const versions = await Promise.all([this, ...joined]
+                .map(async collection => await collection.cache.get(collection.__cacheVersionKey()) || 0)),
+            hash = crypto.createHash("sha1").update(normalizeKey(conditions)).digest("hex");
+
+        return `${this.__cacheNamespace()}:${versions.join(".")}:${hash}`;
+    }
+
+    /**
+     Returns the namespace of the table's cached results. Includes the server, so that databases of the same
+     name on different servers do not share them.
+
+     @private
+
+     @param {string} name
+        The table name, defaults to the collection's.
+    **/
+    __cacheNamespace(name = this.getName()) {
+        const {host = "localhost", port = 3306, socketPath, database} = this.config;
+
+        return `${socketPath || `${host}:${port}`}/${database}.${name}`;
+    }
+
+    /**
+     @private
+    **/
+    __cacheVersionKey() {
+        return `${this.__cacheNamespace()}:version`;
+    }
+
+    /**
+     @private
+    **/
+    __getCached(key) {
+        // Uncommitted data is never read from nor written to the cache
+        if (!this.cache || !key || this.trx || this.__dryRun) {
+            return null;
+        }
+
+        return this.cache.get(key);
+    }
+
+    /**
+     @private
+    **/
+    async __cached(key, [err, results]) {
+        if (results && !_.isEmpty(results)) {
+            if (this.cache && key && !this.trx) {
+                await this.cache.set(key, results, this.config.cacheTTL);
+
+                if (this.onCached) {
+                    this.onCached.call(null, key, results, this);
+                }
+            }
+
+            return [null, results];
+        }
+
+        return [err, results];
+    }
+
+    /**
+     Helper method to page the rows by the cursor of the last, or first, row of the previous page.
+
+     @private
+
+     @param {object} conditions
+     @param {int} perPage
+     @returns {Promise<[Error, Object]>}
+    **/
+    async __paginateByCursor(conditions, perPage) {
+        const {after, before} = conditions,
+            cursor = before || after,
+            orders = this.__cursorOrders(conditions),
+            backward = !!before,
+            _conditions = _.omit(conditions, "after", "before", "cursor", "order", "page");
+
+        let where = conditions.where || {};
+
+        if (cursor) {
+            const values = this.__decodeCursor(cursor);
+
+            if (!values || values.length !== orders.length) {
+                return [new ValidationError('Invalid cursor!', {[backward ? "before" : "after"]: 'Invalid cursor!'})];
+            }
+
+            const keyset = this.__keysetWhere(orders, values, backward);
+
+            where = _.isEmpty(where) ? keyset : {$and: [where, keyset]};
+        }
+
+        // Reads backward in reverse order then flips the rows back
+        const orderBy = _.object(orders.map(([column, order]) => {
+                if (backward) {
+                    order = "ASC" === order ? "DESC" : "ASC";
+                }
+
+                return [column, order];
+            })),
+            columns = this.__cursorColumns(conditions.columns, _.pluck(orders, 0)),
+            [err, rows] = await this.find(_.extend(_conditions, {where, orderBy, columns, page: 1, perPage: perPage + 1}));
+
+        if (err) {
+            return [err];
+        }
+
+        const hasMore = rows.length > perPage,
+            items = rows.slice(0, perPage);
+
+        if (backward) {
+            items.reverse();
+        }
+
+        const toCursor = row => row ? this.__encodeCursor(orders.map(([column]) => row[column])) : null;
+
+        return [null, {
+            items,
+            perPage,
+            pageInfo: {
+                hasNextPage: backward ? true : hasMore,
+                hasPreviousPage: backward ? hasMore : !!cursor,
+                startCursor: toCursor(_.first(items)),
+                endCursor: toCursor(_.last(items))
+            }
+        }];
+    }
+
+    /**
+     Returns the list of `[column, order]` the rows are paged by, ending with the primary key.
+
+     @private
+    **/
+    __cursorOrders({orderBy, order = "DESC"}) {
+        const primary = _.find(_.keys(this.schema), key => "Id" === this.schema[key].type || this.schema[key].primary) || "Id",
+            orders = [];
+
+        if (_.isString(orderBy)) {
+            orders.push([orderBy, order.toUpperCase()]);
+        } else if (_.isObject(orderBy)) {
+            for(const column of _.keys(orderBy)) {
+                orders.push([column, orderBy[column].toUpperCase()]);
+            }
+        }
+
+        if (!_.find(orders, ([column]) => column === primary)) {
+            orders.push([primary, orders.length ? _.last(orders)[1] : "ASC"]);
+        }
+
+        return orders;
+    }
+
+    /**
+     Adds the columns the rows are paged by to the selected columns.
+
+     @private
+    **/
+    __cursorColumns(columns, required) {
+        if (!columns || "*" === columns) {
+            return columns;
+        }
+
+        columns = _.flatten([columns]);
+
+        return columns.concat(_.difference(required, columns));
+    }
+
+    /**
+     Returns the conditions of the rows which come after, or before, the cursor's values.
+
+     @private
+    **/
+    __keysetWhere(orders, values, backward) {
+        const $or = [];
+
+        orders.forEach(([column, order], i) => {
+            const cond = {},
+                forward = "ASC" === order ? !backward : backward;
+
+            for(let j = 0; j < i; j++) {
+                cond[orders[j][0]] = values[j];
+            }
+
+            cond[column] = _.object([forward ? "$gt" : "$lt"], [values[i]]);
+
+            $or.push(cond);
+        });
+
+        return {$or};
+    }
+
+    /**
+     @private
+    **/
+    __encodeCursor(values) {
+        const _values = values.map(value => _.isDate(value) ? {$date: value.toISOString()} : value);
+
+        return Buffer.from(JSON.stringify(_values)).toString("base64")
+            .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
+
+    /**
+     Returns the values encoded in the cursor or `false` if the cursor is invalid.
+
+     @private
+    **/
+    __decodeCursor(cursor) {
+        try {
+            const values = JSON.parse(Buffer.from(String(cursor).replace(/-/g, "+").replace(/_/g, "/"), "base64").toString());
+
+            if (!_.isArray(values)) {
+                return false;
+            }
+
+            return values.map(value => _.isObject(value) && value.$date ? new Date(value.$date) : value);
+        } catch(e) {
+            return false;
+        }
+    }
+
+    /**
+     Helper method to compute a single aggregated value.
+
+     @private
+    **/
+    __aggregateValue(fn, column, where, options) {
+        const metrics = {value: _.object([fn], [column || "*"])};
+
+        return this.aggregate(_.extend({}, _.omit(options, "groupBy"), {metrics, where}))
+            .then(([err, result]) => err ? [err] : [null, result.value]);
+    }
+
+    /**
+     Converts the aggregated values into numbers and the group columns into their display value.
+
+     @private
+     @callback
+    **/
+    __prepareAggregates([err, results], metrics, groups) {
+        if (err) {
+            return [err];
+        }
+
+        const rows = results.map(row => {
+            for(const alias of _.keys(metrics)) {
+                const fn = _.first(_.keys(metrics[alias])),
+                    def = this.schema[metrics[alias][fn]] || {},
+                    value = row[alias];
+
+                if (_.isNull(value) || ("Decimal" === def.type && "$count" !== fn)) {
+                    // Keep the precision of the decimal values
+                    continue;
+                }
+
+                // The minimum and maximum values are of the column's type
+                if (_.contains(["$count", "$sum", "$avg"], fn)) {
+                    row[alias] = Number(value);
+                }
+            }
+
+            return _.extend(row, this.__prepareColumnsForDisplay(_.pick(row, groups)));
+        });
+
+        if (!groups.length) {
+            return [null, _.first(rows) || {}];
+        }
+
+        return [null, rows];
+    }
+
+    /**
+     @private
+     @callback
+    **/
+    __prepareResults([err, results]) {
+        if (err) {
+            return [err];
+        }
+
+        return [null, this.__prepareColumnsForDisplay(results)];
+    }
+
+    /**
+     Invalidates the cached results of the table collection. Within a transaction, the results are
+     invalidated once the transaction is committed, so that no concurrent read caches uncommitted changes
+     under the new version.
+
+     @private
+    **/
+    async __clearCached() {
+        if (!this.cache || this.__dryRun) {
+            return;
+        }
+
+        if (this.trx) {
+            const collection = Object.create(this);
+
+            collection.trx = false;
+            this.trx.onCommit(() => collection.__clearCached());
+
+            return;
+        }
+
+        const version = Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+
+        await this.cache.set(this.__cacheVersionKey(), version, 0);
+
+        if (this.onClearCached) {
+            this.onClearCached.call(null, this.getName(), this);
+        }
+    }
+
+    /**
+     @private
+     @callback
+    **/
+    async __maybeClearCached([err, result]) {
+        if (result) {
+            await this.__clearCached();
+        }
+
+        return [err, result];
+    }
+
+    /**
+     Helper method to validate and insert a single row data.
+
+     @private
+
+     @param {string} statement
+        The insert statement to use, i.e. `INSERT INTO`, `INSERT IGNORE INTO` or `REPLACE INTO`.
+     @param {object} columns
+     @param {object} onDuplicate
+        The upsert options if the existing row must be updated on conflict.
+     @param {function} filter
+        The callback which transforms the statement's result.
+     @returns {Promise<[Error, *]>}
+    **/
+    async __insertOne(statement, columns, onDuplicate, filter) {
+        const refused = this.__refuseInsert(statement, onDuplicate);
+
+        if (refused) {
+            return [refused];
+        }
+
+        const [hookErr, row] = await this.__runHooks("beforeInsert", columns, {statement});
+
+        if (hookErr) {
+            return [hookErr];
+        }
+
+        columns = row;
+
+        const error = {},
+            _columns = await this.__prepareColumnsForInsert(columns, error);
+
+        if (!_.isEmpty(error)) {
+            return [this.__validationError(error)];
+        }
+
+        let sql = `${statement} ?? SET ?`,
+            format = [this.getName(), _columns];
+
+        if (onDuplicate) {
+            const supplied = _.intersection(_.keys(_columns), _.keys(columns));
+
+            sql += this.__onDuplicate(onDuplicate, supplied, format);
+        }
+
+        const primary = this.__primaryKey(),
+            keys = _.has(_columns, primary) ? [_columns[primary]] : null;
+
+        return this.__audited("insert", null, conn => conn.exec(sql, format), keys)
+            .then(filter)
+            .then(res => this.__returnPrimaryUuid(res, _columns))
+            .then(res => this.__afterHooks("afterInsert", res, {statement, columns}));
+    }
+
+    /**
+     Returns the generated UUID in place of the insert id when the primary column is of `UUID` type.
+
+     @private
+     @callback
+    **/
+    __returnPrimaryUuid([err, result], columns) {
+        const primary = _.find(_.keys(this.schema), key => this.schema[key].primary && "UUID" === this.schema[key].type);
+
+        if (err || !primary || !result || !columns[primary]) {
+            return [err, result];
+        }
+
+        return [null, _.bufferToUuid(columns[primary])];
+    }
+
+    /**
+     Helper method to validate and insert multiple rows in a single statement.
+
+     @private
+
+     @param {string} statement
+     @param {array<object>} columns
+     @param {object} onDuplicate
+     @param {function} filter
+     @returns {Promise<[Error, *]>}
+    **/
+    async __insertRows(statement, columns, onDuplicate, filter, chunkSize = 0) {
+        const refused = this.__refuseInsert(statement, onDuplicate);
+
+        if (refused) {
+            return [refused];
+        }
+
+        const error = {},
+            list = [],
+            rows = [];
+
+        for(const column of columns) {
+            const [hookErr, row] = await this.__runHooks("beforeInsert", column, {statement});
+
+            if (hookErr) {
+                return [hookErr];
+            }
+
+            rows.push(row);
+
+            const _column = await this.__prepareColumnsForInsert(row, error);
+
+            if (!_.isEmpty(error)) {
+                return [this.__validationError(error)];
+            }
+
+            list.push(_column);
+        }
+
+        // Every row sets the same columns, the missing ones to their default value
+        const keys = _.intersection(_.keys(this.schema), _.union(...list.map(_.keys))),
+            values = list.map(row => keys.map(key => _.has(row, key) ? row[key] : mysql.raw("DEFAULT"))),
+            supplied = _.intersection(keys, _.union(...rows.map(_.keys))),
+            primary = this.__primaryKey();
+
+        const insert = indexes => {
+            const format = [this.getName(), keys, indexes.map(i => values[i])];
+
+            let sql = `${statement} ?? (??) VALUES ?`;
+
+            if (onDuplicate) {
+                sql += this.__onDuplicate(onDuplicate, supplied, format);
+            }
+
+            // Generated keys, such as UUIDs, are known before the insert
+            const ids = _.contains(keys, primary) ? indexes.map(i => list[i][primary]) : null;
+
+            return this.__audited("insert", null, conn => conn.exec(sql, format), ids)
+                .then(filter)
+                .then(res => this.__afterHooks("afterInsert", res, {statement, columns: indexes.map(i => rows[i])}));
+        };
+
+        return this.__inChunks(_.range(list.length), chunkSize, insert);
+    }
+
+    /**
+     Helper method to update the rows of a chunk in a single statement.
+
+     @private
+
+     @param {array<object>} list
+        The validated updates.
+     @returns {Promise<[Error, Int]>}
+    **/
+    __updateRows(list) {
+        const conditions = {where: {$or: list.map(({where}) => where)}},
+            changed = _.compact(_.union(...list.map(({set}) => _.keys(set)), [this.versionColumn]));
+
+        return this.__audited("update", conditions, conn => conn.__updateMatched(list), null, changed)
+            .then(res => this.__returnChangedRows(res))
+            .then(async res => {
+                // Like `update`, the hooks receive the columns and conditions of each update
+                for(const {columns, conditions} of list) {
+                    await this.__afterHooks("afterUpdate", res, {columns, conditions});
+                }
+
+                return res;
+            });
+    }
+
+    /**
+     Locks the rows matched by each update before updating them, in a single statement keyed by their primary
+     key, so that a column set by an update does not change which rows the next assignments match. Returns a
+     `ConflictError` listing the updates given a version whose row is no longer at that version.
+
+     @private
+
+     @param {array<object>} list
+     @returns {Promise<[Error, object]>}
+    **/
+    __updateMatched(list) {
+        const primary = this.__primaryKey();
+
+        if (this.__dryRun) {
+            return primary ? this.__updateByKey(list, primary) : this.__updateEach(list);
+        }
+
+        return this.transaction(async trx => {
+            const conn = this.transacting(trx),
+                [err, result] = primary ? await conn.__updateByKey(list, primary) : await conn.__updateEach(list);
+
+            return err ? [err] : result;
+        });
+    }
+
+    /**
+     @private
+    **/
+    async __updateByKey(list, primary) {
+        const table = this.getName(),
+            format = [primary],
+            matches = list.map(({where}, i) => {
+                const match = `(${this.__whereClause(where, format)}) AS ??`;
+
+                format.push(`${i}`);
+
+                return match;
+            });
+
+        format.push(table);
+
+        const wheres = list.map(({where}) => `(${this.__whereClause(where, format)})`),
+            [err, rows] = await this.exec(`SELECT ??, ${matches.join(", ")} FROM ?? WHERE ${wheres.join(" OR ")} ` +
+                `FOR UPDATE`, format);
+
+        if (err) {
+            return [err];
+        }
+
+        const ids = list.map((item, i) => _.pluck(rows.filter(row => !!row[i]), primary)),
+            conflict = this.__conflictingUpdates(list, ids.map(matched => matched.length));
+
+        if (conflict) {
+            return [conflict];
+        }
+
+        if (!rows.length) {
+            return [null, {affectedRows: 0, changedRows: 0}];
+        }
+
+        const _format = [table],
+            sets = [];
+
+        for(const column of _.union(...list.map(({set}) => _.keys(set)))) {
+            const cases = [],
+                values = [column];
+
+            for(const [i, {set}] of list.entries()) {
+                if (!_.has(set, column) || !ids[i].length) {
+                    continue;
+                }
+
+                cases.push(`WHEN ?? IN (?) THEN ?`);
+                values.push(primary, ids[i], set[column]);
+            }
+
+            if (cases.length) {
+                sets.push(`?? = CASE ${cases.join(" ")} ELSE ?? END`);
+                _format.push(...values, column);
+            }
+        }
+
+        if (this.versionColumn) {
+            sets.push(`?? = ?? + 1`);
+            _format.push(this.versionColumn, this.versionColumn);
+        }
+
+        _format.push(primary, _.pluck(rows, primary));
+
+        return this.__execLimited(`UPDATE ?? SET ${sets.join(", ")} WHERE ?? IN (?)`, _format);
+    }
+
+    /**
+     Executes one statement per update, for the tables without a primary key.
+
+     @private
+    **/
+    async __updateEach(list) {
+        const max = this.options.maxAffectedRows,
+            total = {affectedRows: 0, changedRows: 0},
+            matched = [];
+
+        for(const {where, set} of list) {
+            const format = [this.getName(), set];
+
+            let sql = `UPDATE ?? SET ?`;
+
+            if (this.versionColumn) {
+                sql += `, ?? = ?? + 1`;
+                format.push(this.versionColumn, this.versionColumn);
+            }
+
+            sql += this.__getConditions({where}, format);
+
+            const [err, result] = await this.exec(sql, format);
+
+            if (err) {
+                return [err];
+            }
+
+            total.affectedRows += result.affectedRows;
+            total.changedRows += result.changedRows;
+            matched.push(result.affectedRows);
+        }
+
+        const conflict = this.__dryRun ? null : this.__conflictingUpdates(list, matched);
+
+        if (conflict) {
+            return [conflict];
+        }
+
+        if (max && total.affectedRows > max && !this.__dryRun) {
+            return [this.__limitError(total.affectedRows)];
+        }
+
+        return [null, total];
+    }
+
+    /**
+     Returns a `ConflictError` listing the updates given a version which matched no rows.
+
+     @private
+
+     @param {array<object>} list
+     @param {array<int>} matched
+        The number of rows each update matched.
+     @returns {object<ConflictError>|null}
+    **/
+    __conflictingUpdates(list, matched) {
+        const conflicts = list.filter(({version}, i) => !isMissing(version) && !matched[i]).map(({index}) => index);
+
+        if (!conflicts.length) {
+            return null;
+        }
+
+        return new ConflictError(`${this.getName()} was changed since the version of the updates at ` +
+            `${conflicts.join(", ")}!`, conflicts);
+    }
+
+    /**
+     Executes the list at once or, if a chunk size is set, one chunk at a time.
+
+     @private
+
+     @param {array} list
+     @param {int} chunkSize
+     @param {function} run
+        Receives the items of the chunk and resolves with it's `[err, result]` tuple.
+     @returns {Promise<[Error, *]>}
+        Returns the list's result or, if a chunk size is set, the list of each chunk's `{rows, result}`.
+    **/
+    async __inChunks(list, chunkSize, run) {
+        if (!chunkSize) {
+            return run(list);
+        }
+
+        const chunks = [];
+
+        for(let i = 0; i < list.length; i += chunkSize) {
+            const items = list.slice(i, i + chunkSize),
+                [err, result] = await run(items);
+
+            if (err) {
+                err.chunks = chunks;
+
+                return [err];
+            }
+
+            chunks.push({rows: items.length, result});
+        }
+
+        return [null, chunks];
+    }
+
+    /**
+     Helper method to create the `ON DUPLICATE KEY UPDATE` clause.
+
+     @private
+
+     @param {object} options
+        {
+            @property {array} conflict
+            @property {array|object} update
+        }
+     @param {array} keys
+        The list of columns which values were supplied.
+     @param {array} format
+     @returns {string}
+    **/
+    __onDuplicate({conflict = [], update}, keys, format) {
+        const sets = [],
+            idColumn = _.find(_.keys(this.schema), key => "Id" === this.schema[key].type);
+
+        update = update || _.difference(keys, conflict);
+
+        // The version is only changed by the update itself
+        update = _.isArray(update) ? _.without(update, this.versionColumn) : _.omit(update, this.versionColumn);
+
+        // Makes the id of the updated row available as the insert id
+        if (idColumn) {
+            sets.push(`?? = LAST_INSERT_ID(??)`);
+            format.push(idColumn, idColumn);
+        }
+
+        if (_.isArray(update)) {
+            for(const column of update) {
+                sets.push(`?? = VALUES(??)`);
+                format.push(column, column);
+            }
+        } else {
+            for(const column of _.keys(update)) {
+                sets.push(`?? = ?`);
+                format.push(column, update[column]);
+            }
+        }
+
+        if (this.versionColumn && !_.isEmpty(update)) {
+            sets.push(`?? = ?? + 1`);
+            format.push(this.versionColumn, this.versionColumn);
+        }
+
+        // Nothing to update, leave the existing row as is
+        if (!sets.length) {
+            sets.push(`?? = ??`);
+            format.push(_.first(keys), _.first(keys));
+        }
+
+        return ` ON DUPLICATE KEY UPDATE ${sets.join(", ")}`;
+    }
+
+    /**
+     @private
+     @callback
+    **/
+    async __returnInsertId([err, result]) {
+        if (err) {
+            return [err];
+        }
+
+        await this.__clearCached();
+
+        return [null, result.insertId || !!result.affectedRows];
+    }
+
+    /**
+     @private
+     @callback
+    **/
+    async __returnChangedRows([err, result]) {
+        if (err) {
+            return [err];
+        }
+
+        await this.__clearCached();
+
+        return [null, result.changedRows];
+    }
+
+    /**
+     @private
+     @callback
+    **/
+    async __returnAffectedRows([err, result]) {
+        if (err) {
+            return [err];
+        }
+
+        await this.__clearCached();
+
+        return [null, result.affectedRows];
+    }
+
+    /**
+     Helper method to create the select statement out of the find conditions.
+
+     @private
+
+     @param {object} conditions
+     @returns {[Error, String, Array, Array<object>]}
+    **/
+    __selectStatement(conditions) {
+        conditions = this.__scopeTrashed(conditions);
+
+        const {columns, join} = conditions,
+            [err, joins] = this.__prepareJoins(join);
+
+        if (err) {
+            return [err];
+        }
+
+        let table = this.getName(),
+            _columns = [this.__prepareColumnsForQuery(columns)],
+            format = [],
+            joinSql = [];
+
+        // Versioned rows carry their version so that it can be given back on update
+        if (this.__missingVersion(columns) && !conditions.groupBy) {
+            _columns.push(`${table}.${this.versionColumn}`);
+        }
+
+        const match = this.__relevanceMatch(conditions);
+
+        if (match) {
+            _columns.push(`${clause.matchClause(match, format, table)} AS relevance`);
+        }
+
+        format.push(table);
+
+        for(const _join of joins) {
+            _columns.push(_join.select);
+            joinSql.push(_join.sql);
+            format.push(..._join.format);
+        }
+
+        let sql = `SELECT ${_columns.join(", ")} FROM ??` + joinSql.join("");
+
+        // Add conditions
+        sql += this.__getConditions(conditions, format);
+
+        return [null, sql, format, joins];
+    }
+
+    /**
+     Returns the full-text search condition to select the relevance of when the result is sorted by it.
+
+     @private
+    **/
+    __relevanceMatch({where, orderBy}) {
+        const sorted = _.isObject(orderBy) ? _.has(orderBy, "$relevance") : "$relevance" === orderBy;
+
+        return sorted && clause.findMatch(where);
+    }
+
+    /**
+     @private
+    **/
+    __validationError(error) {
+        return new ValidationError(error.message, error.details, error.code);
+    }
+
+    /**
+     @private
+    **/
+    __readOnlyError() {
+        return new UnsafeOperationError(`${this.getName()} is read only!`);
+    }
+
+    /**
+     Returns the error refusing to update or delete rows, if the collection is read only or no conditions
+     are given without `all` set.
+
+     @private
+
+     @param {object} conditions
+     @param {string} operation
+     @returns {object<UnsafeOperationError>|null}
+    **/
+    __refuseUnsafe(conditions, operation) {
+        if (this.options.readOnly) {
+            return this.__readOnlyError();
+        }
+
+        if (false === this.options.requireConditions || conditions.all) {
+            return null;
+        }
+
+        if (!conditions.where || _.isEmpty(conditions.where)) {
+            return new UnsafeOperationError(`Cannot ${operation} every row of ${this.getName()} without conditions!`);
+        }
+
+        return null;
+    }
+
+    /**
+     Executes the update or delete statement, within a transaction when the `maxAffectedRows` option is set
+     so that it is rolled back if it changes more rows.
+
+     @private
+
+     @param {string} sql
+     @param {array} format
+     @returns {Promise<[Error, *]>}
+    **/
+    __execLimited(sql, format) {
+        const max = this.options.maxAffectedRows;
+
+        if (!max || this.__dryRun) {
+            return this.exec(sql, format);
+        }
+
+        return this.transaction(async trx => {
+            const [err, result] = await this.transacting(trx).exec(sql, format);
+
+            if (err) {
+                return [err];
+            }
+
+            if (result.affectedRows > max) {
+                return [this.__limitError(result.affectedRows)];
+            }
+
+            return result;
+        });
+    }
+
+    /**
+     @private
+    **/
+    __limitError(affectedRows) {
+        return new UnsafeOperationError(`${affectedRows} rows of ${this.getName()} affected, ` +
+            `over the maximum of ${this.options.maxAffectedRows}!`);
+    }
+
+    /**
+     Helper method to remove the data or set its deletion time.
+
+     @private
+
+     @param {object} conditions
+     @param {Boolean} soft
+     @returns {Promise<[Error, Boolean]>}
+    **/
+    async __delete(conditions, soft) {
+        const [hookErr, _conditions] = await this.__runHooks("beforeDelete", conditions, {soft});
+
+        if (hookErr) {
+            return [hookErr];
+        }
+
+        conditions = _conditions;
+
+        // Checked once the hooks had the chance to add conditions
+        const unsafe = this.__refuseUnsafe(conditions, "delete");
+
+        if (unsafe) {
+            return [unsafe];
+        }
+
+        let res;
+
+        if (soft) {
+            const scoped = this.__scopeTrashed(_.omit(conditions, "withTrashed", "onlyTrashed"));
+
+            res = await this.__setDeletedAt("CURRENT_TIMESTAMP", scoped);
+        } else {
+            let sql = `DELETE FROM ??`,
+                format = [this.getName()];
+
+            // Get conditions
+            sql += this.__getConditions(conditions, format);
+
+            res = await this.__audited("delete", conditions, conn => conn.__execLimited(sql, format))
+                .then(res => this.__filterResult(res));
+        }
+
+        return this.__afterHooks("afterDelete", res, {conditions, soft});
+    }
+
+    /**
+     Executes the functions listed for the given event. Each function may return a new payload which
+     replaces the current one or cancel the operation by either returning or throwing an error.
+
+     @private
+
+     @param {string} event
+     @param {*} payload
+     @param {object} context
+        Additional information about the operation passed to each function.
+     @returns {Promise<[Error, *]>}
+    **/
+    async __runHooks(event, payload, context = {}) {
+        for(const hook of this.hooks[event]) {
+            let res;
+
+            try {
+                res = await hook.call(null, payload, _.extend({event, collection: this}, context));
+            } catch(e) {
+                return [e];
+            }
+
+            if (_.isError(res)) {
+                return [res];
+            }
+
+            if (!_.isUndefined(res)) {
+                payload = res;
+            }
+        }
+
+        return [null, payload];
+    }
+
+    /**
+     Executes the hooks of an operation once it's done. The hooks of a write receive the result without
+     replacing it and, since the write can no longer be cancelled, their errors are emitted as `hookError`
+     events instead of being returned.
+
+     @private
+     @callback
+    **/
+    async __afterHooks(event, [err, result], context) {
+        if (err || this.__dryRun) {
+            return [err, result];
+        }
+
+        if ("afterFind" === event) {
+            return this.__runHooks(event, result, context);
+        }
+
+        // The changes are only final, and visible to the hooks' queries, once committed
+        if (this.trx) {
+            const collection = Object.create(this);
+
+            collection.trx = false;
+            this.trx.onCommit(() => collection.__afterHooks(event, [null, result], context));
+
+            return [null, result];
+        }
+
+        for(const hook of this.hooks[event]) {
+            let res;
+
+            try {
+                res = await hook.call(null, result, _.extend({event, collection: this}, context));
+            } catch(e) {
+                res = e;
+            }
+
+            if (_.isError(res)) {
+                events.emit("hookError", {event, table: this.getName(), error: res});
+            }
+        }
+
+        return [null, result];
+    }
+
+    /**
+     Helper method to exclude or only include the soft deleted rows.
+
+     @private
+
+     @param {object} conditions
+     @returns {object}
+    **/
+    __scopeTrashed(conditions) {
+        const column = this.softDelete;
+
+        if (!column || conditions.withTrashed) {
+            return conditions;
+        }
+
+        const scope = _.object([column], [conditions.onlyTrashed ? "$exist" : "$isNull"]),
+            where = conditions.where;
+
+        if (!where || _.isEmpty(where)) {
+            return _.extend({}, conditions, {where: scope});
+        }
+
+        if (_.has(where, column)) {
+            return _.extend({}, conditions, {where: {$and: [where, scope]}});
+        }
+
+        return _.extend({}, conditions, {where: _.extend({}, where, scope)});
+    }
+
+    /**
+     @private
+    **/
+    __setDeletedAt(value, conditions) {
+        let sql = `UPDATE ?? SET ?? = ${value}`,
+            format = [this.getName(), this.softDelete];
+
+        sql += this.__getConditions(conditions, format);
+
+        const operation = "NULL" === value ? "restore" : "delete";
+
+        return this.__audited(operation, conditions, conn => conn.__execLimited(sql, format), null, [this.softDelete])
+            .then(res => this.__filterResult(res));
+    }
+
+    /**
+     Adds the expected version to the update conditions.
+
+     @private
+
+     @param {object} conditions
+     @param {int} version
+     @returns {object}
+    **/
+    __versionConditions(conditions, version) {
+        if (isMissing(version)) {
+            return conditions;
+        }
+
+        const scope = _.object([this.versionColumn], [version]),
+            where = conditions.where;
+
+        if (!where || _.isEmpty(where)) {
+            return _.extend({}, conditions, {where: scope});
+        }
+
+        return _.extend({}, conditions, {where: {$and: [where, scope]}});
+    }
+
+    /**
+     Returns a `ConflictError` when the update given a version changed no rows.
+
+     @private
+     @callback
+    **/
+    __returnConflict([err, result], version) {
+        if (err || isMissing(version) || result.affectedRows || this.__dryRun) {
+            return [err, result];
+        }
+
+        return [new ConflictError(`${this.getName()} was changed since version ${version}!`)];
+    }
+
+    /**
+     Whether the selected columns are listed and do not include the version column.
+
+     @private
+
+     @param {string|array} columns
+     @returns {Boolean}
+    **/
+    __missingVersion(columns) {
+        if (!this.versionColumn || !columns) {
+            return false;
+        }
+
+        const list = _.flatten([columns]);
+
+        return _.every(list, _.isString) && !_.contains(list, this.versionColumn) && !_.contains(list, "*");
+    }
+
+    /**
+     Returns the name of the primary key column.
+
+     @private
+
+     @returns {string|undefined}
+    **/
+    __primaryKey() {
+        return _.find(_.keys(this.schema), key => "Id" === this.schema[key].type || this.schema[key].primary);
+    }
+
+    /**
+     Returns the history table bound to the same transaction as the collection.
+
+     @private
+
+     @returns {object<Collection>}
+    **/
+    __historyTable() {
+        const table = Object.create(this.historyTable);
+
+        table.__inner = true;
+        table.__dryRun = this.__dryRun;
+        table.trx = this.trx;
 
-        return this.exec(`INSERT INTO ?? (??) VALUES ?`, [this.getName(), keys, values])
-            .then(this.__filterResult);
+        return table;
     }
 
     /**
-     Updates data in the database base on the given condition.
+     Returns the error refusing the insert statement, if the collection is read only or keeps a history
+     the statement cannot be recorded in. The rows an upsert, a replacement or an ignored insert changes
+     are not known from the insert id.
 
-     @param {object} columns
-        An object containing the updated data.
-     @param {object} conditions
-        The conditions that must be met for an update to take place.
-     @returns {Promise<[Error, Boolean]>}
-    **/
-    async update(columns, conditions = {}) {
-        const error = {},
-            _columns = await this.__prepareColumnsForUpdate(columns, error);
+     @private
 
-        if (!_.isEmpty(error)) {
-            return [_.setError(error.message, error.code)];
+     @param {string} statement
+     @param {object} onDuplicate
+     @returns {object<UnsafeOperationError>|null}
+    **/
+    __refuseInsert(statement, onDuplicate) {
+        if (this.options.readOnly) {
+            return this.__readOnlyError();
         }
 
-        let sql = `UPDATE ?? SET ?`,
-            table = this.getName(),
-            format = [table, _columns];
+        if (this.historyTable && ("INSERT INTO" !== statement || onDuplicate)) {
+            const operation = onDuplicate ? "Upserts" : `${statement.replace(/ INTO$/, "")} statements`;
 
-        // Get conditions
-        sql += this.__getConditions(conditions, format);
+            return new UnsafeOperationError(`${operation} cannot be recorded in the history of ${this.getName()}!`);
+        }
 
-        return this.exec(sql, format)
-            .then(this.__filterResult);
+        return null;
     }
 
     /**
-     Removes data in the database.
+     Executes the statement and, if the collection keeps a history, records the changed rows within a
+     transaction. The rows are locked and read before the statement, then read again in batches after it
+     to find which columns changed.
+
+     @private
 
+     @param {string|Boolean} operation
+        The recorded operation's name. Nothing is recorded if `false`.
      @param {object} conditions
-        The conditions to met prior to deleting the data.
-     @returns {Promise<[Error, Boolean]>}
+        The conditions of the changed rows, or `null` on insert.
+     @param {function} run
+        Receives the instance to execute the statement at and resolves with it's `[err, result]` tuple.
+     @param {array} keys
+        The primary keys of the inserted rows when not given by the insert id.
+     @param {array} columns
+        The columns the statement may change. Default are all columns.
+     @returns {Promise<[Error, *]>}
     **/
-    delete(conditions = {}) {
-        let sql = `DELETE FROM ??`,
-            table = this.getName(),
-            format = [table];
+    __audited(operation, conditions, run, keys = null, columns = null) {
+        if (!this.historyTable || !operation || this.__dryRun) {
+            return run(this);
+        }
 
-        // Get conditions
-        sql += this.__getConditions(conditions, format);
+        const primary = this.__primaryKey(),
+            _columns = columns && _.union([primary], columns);
 
-        return this.exec(sql, format).then(this.__filterResult);
-    }
+        return this.transaction(async trx => {
+            const conn = this.transacting(trx),
+                [err, before] = conditions ? await conn.__auditBefore(conditions, _columns) : [null, []];
 
-    /**
-     Find data in the database.
+            if (err) {
+                return [err];
+            }
 
-     @param {object} conditions
-        The conditions to met prior to retrieving the datas.
+            const [err2, result] = await run(conn);
 
-     @returns {Promise<[Error, Array<*>]>}
-    **/
-    async find(conditions) {
-        conditions = conditions || {};
+            if (err2) {
+                return [err2];
+            }
 
-        const cachedKey = this.__createCachedKey(conditions),
-            cached = await this.__getCached(cachedKey);
+            const ids = conditions ? _.pluck(before, primary) : keys || this.__insertedIds(result);
 
-        if (!_.isEmpty(cached)) {
-            return [null, cached];
-        }
+            for(let i = 0; i < ids.length; i += auditBatchSize) {
+                const where = _.object([primary], [{$in: ids.slice(i, i + auditBatchSize)}]),
+                    [err3, after] = await conn.__auditRows({where}, _columns);
 
-        const {columns} = conditions;
+                if (err3) {
+                    return [err3];
+                }
 
-        let table = this.getName(),
-            _columns = this.__prepareColumnsForQuery(columns),
-            sql = `SELECT ${_columns} FROM ??`,
-            format = [table];
+                const [err4] = await conn.__writeHistory(operation, before.slice(i, i + auditBatchSize), after);
 
-        // Add conditions
-        sql += this.__getConditions(conditions, format);
+                if (err4) {
+                    return [err4];
+                }
+            }
 
-        return this.exec(sql, format).then(res => this.__cached(cachedKey, res));
+            return result;
+        });
     }
 
     /**
-     Returns a single row data from the database.
+     Locks and reads the rows about to be changed, in batches ordered by the primary key unless the
+     statement itself is limited.
 
-     @param {string} columns
-     @param {object} whereClause
-        The set of conditions to met prior to retrieving the data.
-     @returns {Promise<[Error, Object]>}
+     @private
+
+     @param {object} conditions
+     @param {array} columns
+     @returns {Promise<[Error, Array<object>]>}
     **/
-    findOne(columns, whereClause = {}) {
-        return this.find({columns, where: whereClause}).then(res => this.__returnOne(res));
-    }
+    async __auditBefore(conditions, columns) {
+        if (conditions.perPage) {
+            return this.__auditRows(conditions, columns);
+        }
 
-    /**
-     Get the column value from the database.
+        const primary = this.__primaryKey(),
+            rows = [];
 
-     @param {string} column
-        The name of the table's column to get the data from.
-     @param {object} whereClause
-        The set of conditions to met prior to retrieving the column value.
-     @returns {Promise<[Error, *]>}
-    **/
-    getValue(column, whereClause = {}) {
-        return this.findOne(column, whereClause).then(res => this.__returnValue(res, column));
-    }
+        let last = null;
+
+        for(;;) {
+            let where = conditions.where;
+
+            if (!_.isNull(last)) {
+                const after = _.object([primary], [{$gt: last}]);
+
+                where = where && !_.isEmpty(where) ? {$and: [where, after]} : after;
+            }
+
+            const [err, batch] = await this.__auditRows({where, orderBy: primary, order: "ASC",
+                perPage: auditBatchSize}, columns);
+
+            if (err) {
+                return [err];
+            }
 
-    count(column, where) {
-        return this.getValue({$fn: "COUNT", column, as: column}, where);
+            rows.push(...batch);
+
+            if (batch.length < auditBatchSize) {
+                return [null, rows];
+            }
+
+            last = _.last(batch)[primary];
+        }
     }
 
     /**
+     Locks and reads the given columns of the rows as they are stored.
+
      @private
     **/
-    __createCachedKey(...obj) {
-        const key = _.extend.call(null, obj);
+    __auditRows(conditions, columns = null) {
+        const format = columns ? [columns, this.getName()] : [this.getName()];
+
+        let sql = columns ? `SELECT ?? FROM ??` : `SELECT * FROM ??`;
 
-        return _.unserialize(key);
+        sql += this.__getConditions(conditions, format) + " FOR UPDATE";
+
+        return this.exec(sql, format);
     }
 
     /**
+     Returns the ids of the rows inserted by a single statement.
+
      @private
     **/
-    __getCached(key) {
-        return this.cachedData[key]||null;
+    __insertedIds(result) {
+        return result.insertId ? _.range(result.insertId, result.insertId + result.affectedRows) : [];
     }
 
     /**
+     Records the changed columns of each row in the history table.
+
      @private
+
+     @param {string} operation
+     @param {array<object>} before
+        The rows read before the change.
+     @param {array<object>} after
+        The rows read after the change.
+     @returns {Promise<[Error, *]>}
     **/
-    __cached(key, [err, results]) {
-        if (results && !_.isEmpty(results)) {
-            const _results = this.__prepareColumnsForDisplay(results);
+    __writeHistory(operation, before, after) {
+        const primary = this.__primaryKey(),
+            byKey = rows => _.indexBy(this.__prepareColumnsForDisplay(rows), row => String(row[primary])),
+            _before = byKey(before),
+            _after = byKey(after),
+            actor = isMissing(this.context.actor) ? null : String(this.context.actor),
+            records = [];
+
+        for(const rowId of _.union(_.keys(_before), _.keys(_after))) {
+            const old = _before[rowId] || {},
+                current = _after[rowId] || {},
+                changed = _.union(_.keys(old), _.keys(current)).filter(key => !_.isEqual(old[key], current[key]));
+
+            if (!changed.length) {
+                continue;
+            }
 
-            // Save the results
-            this.cachedData[key] = _results;
+            records.push({
+                operation,
+                rowId,
+                before: _before[rowId] ? _.pick(old, changed) : null,
+                after: _after[rowId] ? _.pick(current, changed) : null,
+                actor
+            });
+        }
 
-            return [null, _results];
+        if (!records.length) {
+            return Promise.resolve([null, true]);
         }
 
-        return [err, results];
+        return this.__historyTable().insertMany(records);
     }
 
     /**
+     Helper method to transform the join definitions into the statements to add in a query.
+
      @private
+
+     @param {string|array|object} join
+     @returns {[Error, Array<object>]}
     **/
-    __clearCached() {
-        this.cachedData = Object.create(null);
+    __prepareJoins(join) {
+        if (!join) {
+            return [null, []];
+        }
+
+        if (!_.isObject(join) || _.isArray(join)) {
+            join = _.object(_.flatten([join]), []);
+        }
+
+        const table = this.getName(),
+            joins = [];
+
+        for(const key of _.keys(join)) {
+            let spec = join[key] || {};
+
+            if (spec instanceof Collection) {
+                spec = {collection: spec};
+            }
+
+            const def = this.schema[key],
+                foreign = def && def.foreign,
+                collection = spec.collection || (foreign && registry.get(this.__cacheNamespace(this.getPrefix() + foreign.name))),
+                on = spec.on || (foreign && _.object([key], [foreign.column])),
+                type = (spec.type || "left").toUpperCase();
+
+            if (!on) {
+                return [new Error(`Missing join condition for ${key}!`)];
+            }
+
+            if (!collection) {
+                return [new Error(`No collection found to join for ${key}!`)];
+            }
+
+            if (!_.contains(joinTypes, type)) {
+                return [new Error(`Invalid join type ${spec.type}!`)];
+            }
+
+            const as = spec.as || (foreign ? collection.name : key),
+                format = [collection.getName(), as],
+                onClause = _.keys(on).map(col => `${table}.${col} = ${as}.${on[col]}`);
+
+            let columns = spec.columns || _.keys(collection.getSchema());
+
+            if (_.isArray(columns)) {
+                columns = _.object(columns, columns);
+            }
+
+            if (spec.where) {
+                onClause.push(`(${collection.__whereClause(spec.where, format, as)})`);
+            }
+
+            joins.push({
+                as,
+                columns,
+                collection,
+                format,
+                sql: ` ${type} JOIN ?? AS ?? ON ${onClause.join(" AND ")}`,
+                select: _.keys(columns).map(alias => `${as}.${columns[alias]} AS \`${as}.${alias}\``).join(", ")
+            });
+        }
+
+        return [null, joins];
     }
 
     /**
+     Helper method to nest the joined columns of each row under the related collection's name.
+
      @private
      @callback
     **/
-    __maybeClearCached([err, result]) {
-        if (result) {
-            this.__clearCached();
+    __nestJoins([err, results], joins) {
+        if (err || !joins.length || !_.isArray(results)) {
+            return [err, results];
         }
 
-        return [err, result];
+        for(const row of results) {
+            for(const {as, columns, collection} of joins) {
+                let related = {},
+                    isEmpty = true;
+
+                for(const alias of _.keys(columns)) {
+                    const key = `${as}.${alias}`;
+
+                    related[alias] = row[key];
+                    delete row[key];
+
+                    if (!_.isNull(related[alias])) {
+                        isEmpty = false;
+                    }
+                }
+
+                // A left join without a matching related row
+                row[as] = isEmpty ? null : collection.__prepareColumnsForDisplay(related);
+            }
+        }
+
+        return [null, results];
     }
 
     /**
@@ -312,14 +2650,16 @@ export class Collection extends Table {
             @property {int} perPage
         }
      @param {array} format
+     @param {array<string>} aliases
+        The names of the selected aliases the result may be sorted by.
     **/
-    __getConditions(conditions, format) {
+    __getConditions(conditions, format, aliases = []) {
         const cons = [],
             {where, orderBy, order, groupBy, groupOrder, having, page, perPage} = conditions,
             table = this.getName();
 
-        if (where) {
-            const _where = clause.whereClause(where, format, table);
+        if (where && !_.isEmpty(where)) {
+            const _where = this.__whereClause(where, format);
 
             cons.push(` WHERE ${_where}`);
         }
@@ -330,14 +2670,14 @@ export class Collection extends Table {
             cons.push(` GROUP BY ${_groupBy}`);
 
             if (having) {
-                const _having = clause.having(having, format, table);
+                const _having = clause.having(having, format);
 
                 cons.push(` HAVING ${_having}`);
             }
         }
 
         if (orderBy) {
-            const _order = clause.orderBy(orderBy, order, table);
+            const _order = clause.orderBy(orderBy, order, table, aliases);
 
             cons.push(` ORDER BY ${_order}`);
         }
@@ -350,36 +2690,116 @@ export class Collection extends Table {
     }
 
     /**
+     Creates the `where` clause of the conditions, where the dotted property names of the `JSON` columns refer
+     to a path inside the documents.
+
+     @private
+
+     @param {object} where
+     @param {array} format
+     @param {string} table
+        The name or alias of the table. Default is the collection's table name.
+     @returns {string}
+    **/
+    __whereClause(where, format, table = this.getName()) {
+        const jsonColumns = _.keys(this.schema).filter(key => "JSON" === this.schema[key].type);
+
+        return clause.whereClause(this.__prepareWhere(where), format, table, jsonColumns);
+    }
+
+    /**
+     @private
+    **/
+    __prepareColumnsForInsert(columns, error) {
+        return this.__prepareColumns(columns, "insert", error);
+    }
+
+    /**
+     @private
+    **/
+    __prepareColumnsForUpdate(columns, error) {
+        return this.__prepareColumns(columns, "update", error);
+    }
+
+    /**
+     Validates and transforms the columns' values into how they are stored in the database. All failing
+     columns are collected into the error's details.
+
+     On insert, all columns are checked and missing values are replaced by the columns' default values.
+     On update, only the supplied columns are checked.
+
      @private
+
+     @param {object} columns
+     @param {string} mode
+        Either `insert` or `update`.
+     @param {object} error
+        The container where the error message, code and details are set.
+     @returns {Promise<Object>}
     **/
-    async __prepareColumnsForInsert(columns, error) {
+    async __prepareColumns(columns, mode, error) {
         const _columns = {},
-            schema = this.schema;
+            details = {},
+            schema = this.schema,
+            isInsert = "insert" === mode;
+
+        let code = "invalid_value";
 
         for(const key of _.keys(schema)) {
             let def = schema[key],
-                value = columns[key];
+                value = columns[key],
+                colError = {};
+
+            // The deletion time is only changed through delete and restore
+            if (key === this.softDelete) {
+                continue;
+            }
 
-            // Ignore auto generated values
-            if (_.contains(["Id", "Date", "DateTime", "Timestamp"], def.type)) {
+            // The version is only changed by the update itself
+            if (key === this.versionColumn && !isInsert) {
                 continue;
             }
 
-            // Maybe set the default value if the value is missing
-            if (!value || _.isUndefined(value)) {
-                if (def.defaultValue) {
+            if (isInsert) {
+                // Ignore auto generated values
+                if (_.contains(["Id", "Date", "DateTime", "Timestamp"], def.type)) {
+                    continue;
+                }
+
+                if ("UUID" === def.type && isMissing(value) && _.isUndefined(def.defaultValue)) {
+                    value = _.uuid();
+                }
+
+                if (key === this.versionColumn && isMissing(value) && _.isUndefined(def.defaultValue)) {
+                    value = 1;
+                }
+
+                // Maybe set the default value if the value is missing
+                if (isMissing(value) && !_.isUndefined(def.defaultValue)) {
                     value = def.defaultValue;
 
                     if (_.isFunction(value)) {
-                        value = value.call(null, columns, error, this);
+                        value = value.call(null, columns, colError, this);
                     }
                 }
+            } else if (!_.has(columns, key)) {
+                continue;
+            }
+
+            if (isMissing(value)) {
+                if (def.required) {
+                    details[key] = `Missing required value for ${key}!`;
+                    code = "missing_value";
+
+                    continue;
+                }
+            } else {
+                const message = validateValue(key, value, def);
 
-                if (def.required && _.isEmpty(value)) {
-                    error.message = `Missing required value for ${key}!`;
-                    error.code = 'missing_value';
+                if (message) {
+                    details[key] = message;
 
-                    return _columns; // No need to go further is an error occured
+                    continue;
                 }
             }
 
@@ -389,62 +2809,50 @@ export class Collection extends Table {
 
             // Check validation
             if (def.validate) {
-                value = await def.validate.call(null, value, columns, "insert", error, this);
-
-                if (error && error.message) {
-                    return _columns;
+                try {
+                    value = await def.validate.call(null, value, columns, mode, colError, this);
+                } catch(e) {
+                    colError.message = e.message;
                 }
             }
 
+            if (colError.message) {
+                details[key] = colError.message;
+                code = colError.code || code;
+
+                continue;
+            }
+
             // Maybe serialize?
             if (_.contains(["Object", "Array"], def.type)) {
                 value = _.serialize(value);
             }
 
+            if (!isMissing(value)) {
+                value = this.__toStoredValue(value, def);
+            }
+
             _columns[key] = value;
         }
 
-        return _columns;
-    }
-
-    /**
-     @private
-    **/
-    async __prepareColumnsForUpdate(columns, error) {
-        let _columns = {},
-            schema = this.schema;
-
-        for(const key of _.keys(schema)) {
-            let def = schema[key],
-                value = columns[key];
-
-            // Validate the given value
-            if (def.validate) {
-                value = await def.validate.call(null, value, columns, "update", error);
-
-                if (error && error.message) {
-                    return _columns;
-                }
-            }
-
-            // Maybe serialize
-            if (_.contains(["Object", "Array"], def.type)) {
-                value = _.serialize(value);
-            }
+        const fields = _.keys(details);
 
-            _columns[key] = value;
+        if (fields.length) {
+            error.message = 1 === fields.length ? details[_.first(fields)] : `Invalid values for ${fields.join(", ")}!`;
+            error.code = code;
+            error.details = details;
         }
 
         return _columns;
     }
 
-    __filterResult([err, result]) {
+    async __filterResult([err, result]) {
         if (err) {
             return [err];
         }
 
         // Clear caches
-        this.__clearCached();
+        await this.__clearCached();
 
         // Return an IDs if existed
         if (result.insertId) {
@@ -481,7 +2889,7 @@ export class Collection extends Table {
         }
 
         if (_.isArray(columns)) {
-            return columns.map( col => this.__prepareColumnsForQuery(col)).join(" ");
+            return columns.map( col => this.__prepareColumnsForQuery(col)).join(", ");
         }
 
         // TODO: column object
@@ -503,6 +2911,109 @@ export class Collection extends Table {
         return `${table}.${columns}`;
     }
 
+    /**
+     Groups the dotted property names of the updated data per `JSON` column.
+
+     @private
+
+     @param {object} columns
+     @returns {[Error, Object]}
+        Returns an object where the property name is the column's name and it's value is the list of
+        `[path, value]` to set.
+    **/
+    __prepareJsonPaths(columns) {
+        const paths = {};
+
+        for(const key of _.keys(columns)) {
+            const [column, path] = clause.jsonPath(key);
+
+            if (!path) {
+                continue;
+            }
+
+            const def = this.schema[column];
+
+            if (!def || "JSON" !== def.type) {
+                return [new ValidationError(`${column} is not a JSON column!`, {[key]: `${column} is not a JSON column!`})];
+            }
+
+            paths[column] = paths[column] || [];
+            paths[column].push([path, columns[key]]);
+        }
+
+        return [null, paths];
+    }
+
+    /**
+     Converts the value into the form it is stored in the database.
+
+     @private
+    **/
+    __toStoredValue(value, def) {
+        if ("bigint" === typeof value) {
+            // Keep the precision beyond the safe integer range
+            return value.toString();
+        }
+
+        switch(def.type) {
+            case "UUID" :
+                return _.uuidToBuffer(value);
+
+            case "JSON" :
+                return JSON.stringify(value);
+
+            case "Binary" :
+            case "Blob" :
+            case "MediumBlob" :
+            case "LongBlob" :
+                return Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+        }
+
+        return value;
+    }
+
+    /**
+     Converts the values of the `UUID` columns of the where conditions into their binary form.
+
+     @private
+    **/
+    __prepareWhere(where) {
+        if (!_.isObject(where)) {
+            return where;
+        }
+
+        const _where = {};
+
+        for(const key of _.keys(where)) {
+            const value = where[key],
+                def = this.schema[key];
+
+            if (_.contains(["$and", "$or"], key)) {
+                _where[key] = value.map(cond => this.__prepareWhere(cond));
+
+                continue;
+            }
+
+            if (!def || "UUID" !== def.type) {
+                _where[key] = value;
+
+                continue;
+            }
+
+            const toBinary = val => _.isString(val) ? (_.uuidToBuffer(val) || val) : val;
+
+            if (_.isObject(value) && !Buffer.isBuffer(value)) {
+                _where[key] = _.mapObject(value, val => _.isArray(val) ? val.map(toBinary) : toBinary(val));
+
+                continue;
+            }
+
+            _where[key] = toBinary(value);
+        }
+
+        return _where;
+    }
+
     /**
      @private
     **/
@@ -534,6 +3045,23 @@ export class Collection extends Table {
                 case "Array" :
                     columns[column] = !_.isEmpty(value) ? _.unserialize(value) : [];
                     break;
+
+                case "UUID" :
+                    columns[column] = _.bufferToUuid(value);
+                    break;
+
+                case "JSON" :
+                    columns[column] = _.isString(value) ? JSON.parse(value) : value;
+                    break;
+
+                case "Binary" :
+                case "Blob" :
+                case "MediumBlob" :
+                case "LongBlob" :
+                    if (!_.isNull(value) && !Buffer.isBuffer(value)) {
+                        columns[column] = Buffer.from(String(value));
+                    }
+                    break;
             }
         }
 
@@ -544,11 +3072,15 @@ export class Collection extends Table {
      @private
      @callback
     **/
-    __returnOne([err, results]) {
+    __returnOne([err, results], required = false) {
         if (results && results.length) {
             return [null, _.first(results)];
         }
 
+        if (!err && required) {
+            return [new NotFoundError(`No matching row found in ${this.getName()}!`)];
+        }
+
         return [err];
     }
 
@@ -557,7 +3089,7 @@ export class Collection extends Table {
      @callback
     **/
     __returnValue([err, result], column) {
-        if (err) {
+        if (err || !result) {
             return [err];
         }
 
@@ -566,9 +3098,13 @@ export class Collection extends Table {
                 return [null, result[column.as]];
             }
 
-            return result[column.column];
+            return [null, result[column.column]];
         }
 
         return [null, result[column]];
     }
-}
\ No newline at end of file
+}
+
+throwable(Collection, ["insert", "insertMany", "upsert", "upsertMany", "insertIgnore", "insertIgnoreMany", "replace",
+    "replaceMany", "update", "updateMany", "delete", "forceDelete", "restore", "validate", "find", "findOne", "getValue",
+    "paginate", "aggregate", "count", "sum", "avg", "min", "max", "create", "drop", "history"]);
@@ -1,5 +1,46 @@
 import * as _ from "./utils";
 import mysql from "mysql";
+import {pipeline} from "stream";
+import {Transaction} from "./transaction";
+import {mapError, ConnectionError} from "./errors";
+import {instrument, asOperation} from "./instrument";
+
+/**
+ Holds the connection pools shared by every instance created with the same configuration.
+
+ @private
+**/
+const pools = new Map();
+
+/**
+ Configuration options used by the library itself rather than by the mysql driver.
+
+ @private
+**/
+const localOptions = ["prefix", "cache", "cacheTTL", "throws", "balance", "stickyTimeout", "retryAfter", "redact",
+    "slowQuery", "logger", "production"];
+
+/**
+ Holds the read routing state shared by every instance created with the same configuration, i.e. the
+ round-robin position, the time of the last write and the time unhealthy replicas are retried at.
+
+ @private
+**/
+const routes = new Map();
+
+/**
+ Returns the `DECIMAL` values as strings so that they keep their precision. The driver only does so for
+ values beyond the safe integer range unless `bigNumberStrings` is set, which also applies to `BIGINT`.
+
+ @private
+**/
+function typeCast(field, next) {
+    if ("NEWDECIMAL" === field.type) {
+        return field.string();
+    }
+
+    return next();
+}
 
 /**
  Establishes and executes database transactions.
@@ -14,28 +55,88 @@ export class Connect {
         {
             @property {string} prefix
                 A unique string use to prefix the table collection's name.
+            @property {int} connectionLimit
+                The maximum number of connections the shared pool may open at once.
+            @property {Boolean} throws
+                Whether the operations throw their error and resolve with their result instead of
+                resolving with an `[err, result]` tuple.
+            @property {object} primary
+                The connection options of the primary server, where every write is executed. The other
+                options are shared by the primary and the replicas.
+            @property {array<object>} replicas
+                The connection options of the read replicas, each may set a `weight`.
+            @property {string} balance
+                How a replica is chosen for each read. Options are `roundRobin` or `weighted`. Default is
+                `roundRobin`.
+            @property {int} stickyTimeout
+                The number of seconds the reads of an instance go to the primary after it wrote, or after
+                the transaction it wrote in is committed. Default is `2`.
+            @property {int} retryAfter
+                The number of seconds an unreachable replica is skipped. Default is `30`.
+            @property {function} redact
+                Receives the statement's parameters and returns the ones to report in the query events,
+                i.e. with passwords masked.
+            @property {int} slowQuery
+                The number of milliseconds from which a statement is logged as slow.
+            @property {object} logger
+                Where the slow statements are logged at through its `warn` method. Default is `console`.
+            @property {Boolean} production
+                Whether tables may not be dropped or altered. Default is `true` when `NODE_ENV` is `production`.
         }
     **/
     constructor(config) {
-        this.config = _.extend({
-            host: 'localhost',
-            port: 3306,
-            connectionLimit: 50,
-            dateStrings: true,
-            supportBigNumbers: true,
-            multipleStatements: true,
-            timezone: 'UTC'
-        }, config);
+        config = config || {};
+
+        const defaults = {
+                host: 'localhost',
+                port: 3306,
+                connectionLimit: 50,
+                dateStrings: true,
+                supportBigNumbers: true,
+                multipleStatements: true,
+                timezone: 'UTC',
+                typeCast,
+                production: "production" === process.env.NODE_ENV
+            },
+            shared = _.omit(config, "primary", "replicas");
+
+        this.config = _.extend(defaults, shared, config.primary);
+        this.replicas = (config.replicas || []).map(replica => _.extend({}, defaults, shared, replica));
 
         this.error = false;
         this.isMulti = false;
         this.client = false;
+        this.trx = false;
+
+        // Shared with the instance's copies, i.e. the ones bound to a transaction
+        this.session = {writtenAt: 0};
     }
 
+    /**
+     Returns a single, non-pooled connection.
+
+     @returns {object}
+    **/
     getClient() {
         return mysql.createConnection(this.config);
     }
 
+    /**
+     Returns the connection pool shared by every instance using the same configuration. The pool is
+     created on first use.
+
+     @returns {object}
+    **/
+    getPool(config = this.config) {
+        const key = this.__poolKey(config);
+
+        if (!pools.has(key)) {
+            pools.set(key, mysql.createPool(_.omit(config, "weight")));
+        }
+
+        return pools.get(key);
+    }
+
     /**
      Returns the unique prefix used when creating collection table.
 
@@ -65,10 +166,10 @@ export class Connect {
 
             client.connect( err => {
                 if (err) {
-                    this.error = err;
+                    this.error = mapError(err);
                     this.client = null;
 
-                    return res([err]);
+                    return res([this.error]);
                 }
 
                 client.end();
@@ -81,44 +182,550 @@ export class Connect {
     /**
      Executes transaction unto the database.
 
+     Statements are executed through the shared pool. When `multi()` is set, a single pooled connection
+     is borrowed and kept until `end()` is called. When bound to a transaction, the statement is
+     executed at the transaction's connection.
+
      @param {string} sql
      @param {object} options
      @returns {Promise<[Error, *]>}
     **/
-    exec(sql, options) {
-        if (!this.client) {
-            this.client = this.getClient();
+    async exec(sql, options) {
+        if (this.__dryRun) {
+            return this.__record(sql, options);
         }
 
-        return new Promise( res => {
-            this.client.query(sql, options, (err, results) => {
-                if (!this.isMulti) {
-                    this.end();
-                }
+        const isWrite = this.replicas.length && !/^\s*SELECT/i.test(sql);
 
-                if (err) {
-                    this.error = err;
+        if (this.trx) {
+            if (isWrite) {
+                this.trx.onCommit(() => this.__written());
+            }
 
-                    return res([err]);
-                }
+            return instrument(this, sql, options, () => this.trx.exec(sql, options));
+        }
 
-                return res([null, results]);
+        let client = this.getPool();
+
+        if (this.isMulti) {
+            const [err, conn] = await this.__multiClient();
+
+            if (err) {
+                return [err];
+            }
+
+            client = conn;
+        }
+
+        if (isWrite) {
+            this.__written();
+        }
+
+        return this.__query(client, sql, options);
+    }
+
+    /**
+     Executes a read only statement. When read replicas are configured, the statement is executed at one
+     of the replicas unless the instance is within a transaction or has itself written recently. A replica which
+     cannot be reached is skipped for a while and the next one, or the primary, is used instead.
+
+     @param {string} sql
+     @param {object} options
+     @returns {Promise<[Error, *]>}
+    **/
+    async read(sql, options) {
+        if (this.__dryRun) {
+            return this.__record(sql, options);
+        }
+
+        if (!this.__readsReplicas()) {
+            return this.exec(sql, options);
+        }
+
+        const route = this.__route();
+
+        for(const replica of this.__replicas(route)) {
+            const [err, results] = await this.__query(this.getPool(replica), sql, options);
+
+            if (!(err instanceof ConnectionError)) {
+                return [err, results];
+            }
+
+            this.__skipReplica(route, replica);
+        }
+
+        return this.exec(sql, options);
+    }
+
+    /**
+     Executes a read only statement, at the server `read` would use, and pipes it's rows into the given
+     stream. Within `toSQL`, the statement is recorded and the stream is ended instead.
+
+     @private
+
+     @param {string} sql
+     @param {object} options
+     @param {object<Writable>} output
+     @param {int} highWaterMark
+        The number of rows buffered from the connection.
+     @returns {Promise<[Error, object]>}
+        Returns the number of rows read as `affectedRows`.
+    **/
+    __streamRead(sql, options, output, highWaterMark) {
+        if (this.__dryRun) {
+            output.end();
+
+            return Promise.resolve(this.__record(sql, options));
+        }
+
+        return instrument(this, sql, options, async () => {
+            const [err, conn, done] = await this.__readConnection();
+
+            if (err) {
+                output.destroy(err);
+
+                return [mapError(err)];
+            }
+
+            return new Promise(res => {
+                const source = conn.query(sql, options).stream({highWaterMark});
+
+                let affectedRows = 0;
+
+                source.on("data", () => affectedRows++);
+
+                pipeline(source, output, err2 => {
+                    done(err2);
+
+                    res(err2 ? [mapError(err2)] : [null, {affectedRows}]);
+                });
             });
         });
     }
 
     /**
-     Closes database connection.
+     Borrows the connection a streamed read is executed at, routed like `read`.
+
+     @private
+
+     @returns {Promise<[Error, object, function]>}
+        Returns the connection and the function to call, with the stream's error if any, once done.
+    **/
+    async __readConnection() {
+        if (this.trx || this.isMulti) {
+            const [err, client] = this.trx ? [null, this.trx.client] : await this.__multiClient();
+
+            if (err) {
+                return [err];
+            }
+
+            // Drain the remaining rows to keep the connection usable
+            return [null, client, () => client.resume()];
+        }
+
+        // A partially read result leaves the connection unusable
+        const borrowed = conn => [null, conn, err => err ? conn.destroy() : conn.release()];
+
+        if (this.__readsReplicas()) {
+            const route = this.__route();
+
+            for(const replica of this.__replicas(route)) {
+                const [err, conn] = await this.__getConnection(replica);
+
+                if (!err) {
+                    return borrowed(conn);
+                }
+
+                if (!(err instanceof ConnectionError)) {
+                    return [err];
+                }
+
+                this.__skipReplica(route, replica);
+            }
+        }
+
+        const [err, conn] = await this.__getConnection();
+
+        return err ? [err] : borrowed(conn);
+    }
+
+    /**
+     Whether the reads are executed at the replicas, which is not the case within a transaction, when
+     `multi()` is set or right after the instance wrote.
+
+     @private
+    **/
+    __readsReplicas() {
+        const sticky = (this.config.stickyTimeout || 2) * 1000;
+
+        return this.replicas.length > 0 && !this.trx && !this.isMulti && Date.now() - this.session.writtenAt >= sticky;
+    }
+
+    /**
+     Skips the unreachable replica for the `retryAfter` seconds.
+
+     @private
+    **/
+    __skipReplica(route, replica) {
+        route.retryAt.set(this.__poolKey(replica), Date.now() + (this.config.retryAfter || 30) * 1000);
+    }
+
+    /**
+     Executes the callback inside a database transaction. The transaction is committed when the callback
+     succeeds and rolled back when it throws or returns an `[err]` result. When called on an instance
+     already bound to a transaction, a savepoint is used instead. When `multi()` is set, the transaction
+     is executed at the borrowed connection.
+
+     @param {function} callback
+        {
+            @param {object<Transaction>} trx
+                Use `collection.transacting(trx)` to execute a collection's operations within the transaction.
+        }
+     @returns {Promise<[Error, *]>}
+    **/
+    async transaction(callback) {
+        if (this.trx) {
+            return this.trx.transaction(callback);
+        }
+
+        const [err, conn] = this.isMulti ? await this.__multiClient() : await this.__getConnection();
+
+        if (err) {
+            this.error = err;
+
+            return [err];
+        }
+
+        const res = await new Transaction(conn).run(callback);
+
+        // The connection borrowed by `multi()` is kept until `end()` is called
+        if (!this.isMulti) {
+            conn.release();
+        }
+
+        if (this.replicas.length) {
+            this.__written();
+        }
+
+        return res;
+    }
+
+    /**
+     Returns the statements the method would execute without executing them. Statements reading the
+     table's live structure, such as the ones `alter` relies on, are still executed.
+
+     @param {string} method
+        The name of the method, i.e. `find`, `update` or `alter`.
+     @param {...*} args
+        The arguments of the method.
+     @returns {Promise<[Error, Array<object>]>}
+        Returns the list of statements in the order they would be executed.
+        {
+            @property {string} sql
+                The statement with the parameters formatted in.
+            @property {string} statement
+                The statement with placeholders.
+            @property {array|object} params
+        }
+    **/
+    async toSQL(method, ...args) {
+        const dry = Object.create(this);
+
+        dry.__dryRun = [];
+        dry.__inner = true;
+
+        const res = await asOperation(method, () => dry[method](...args), true),
+            // Methods such as `stream` do not resolve with a tuple
+            [err] = _.isArray(res) ? res : [null];
+
+        // Errors caused by the fake results are ignored
+        if (err && !dry.__dryRun.length) {
+            return [err];
+        }
+
+        return [null, dry.__dryRun];
+    }
+
+    /**
+     Returns a copy of the instance which executes its statements within the given transaction.
+
+     @param {object<Transaction>} trx
+     @returns {object}
+    **/
+    transacting(trx) {
+        const bound = Object.create(this);
+
+        bound.trx = trx;
+
+        return bound;
+    }
+
+    /**
+     Returns the number of connections currently in use, sitting idle and waiting in the queue of the
+     shared pool. The counts are read from the pool's internal lists, and are `0` for any list the installed
+     version of `mysql` does not have.
+
+     @returns {object}
+    **/
+    stats() {
+        const pool = pools.get(this.__poolKey()),
+            count = name => pool && pool[name] && _.isNumber(pool[name].length) ? pool[name].length : 0,
+            idle = count("_freeConnections");
+
+        return {
+            active: Math.max(count("_allConnections") - idle, 0),
+            idle,
+            queued: count("_connectionQueue")
+        };
+    }
+
+    /**
+     Releases the borrowed connection back into the pool.
 
      @returns {void}
     **/
     end() {
-        if (this.client && this.client.end) {
-            this.client.end();
+        if (this.client && this.client.release) {
+            this.client.release();
         }
 
         this.error = false;
         this.client = false;
         this.isMulti = false;
     }
-}
\ No newline at end of file
+
+    /**
+     Drains and closes the shared pool. Queries already queued are allowed to finish.
+
+     @returns {Promise<[Error, Boolean]>}
+    **/
+    async close() {
+        this.end();
+
+        routes.delete(this.__poolKey());
+
+        let error = null;
+
+        for(const config of [this.config].concat(this.replicas)) {
+            const key = this.__poolKey(config),
+                pool = pools.get(key);
+
+            if (!pool) {
+                continue;
+            }
+
+            pools.delete(key);
+
+            const err = await new Promise(res => pool.end(res));
+
+            error = error || mapError(err);
+        }
+
+        if (error) {
+            return [error];
+        }
+
+        return [null, true];
+    }
+
+    /**
+     Executes the method, either resolving with its `[err, result]` tuple or, when the `throws` option is
+     set, resolving with the result and throwing the error. Methods called within are executed as is so
+     that they still resolve with tuples. Statements are reported under the outer method's name.
+
+     @private
+
+     @param {function} method
+     @param {array} args
+     @param {string} name
+     @returns {Promise<*>}
+    **/
+    __output(method, args, name) {
+        if (!this.config.throws || this.__inner) {
+            return asOperation(name, () => method.apply(this, args));
+        }
+
+        const inner = Object.create(this);
+
+        inner.__inner = true;
+
+        return asOperation(name, () => method.apply(inner, args)).then(([err, result]) => {
+            // Keep the connection borrowed by `multi()` and the last error at the instance itself
+            this.client = inner.client;
+            this.error = inner.error;
+
+            if (err) {
+                throw err;
+            }
+
+            return result;
+        });
+    }
+
+    /**
+     Executes a statement reading the database's structure, even within `toSQL`.
+
+     @private
+    **/
+    __introspect(sql, options) {
+        if (!this.__dryRun) {
+            return this.exec(sql, options);
+        }
+
+        const conn = Object.create(this);
+
+        conn.__dryRun = false;
+        conn.isMulti = false;
+
+        return conn.exec(sql, options);
+    }
+
+    /**
+     Records the statement within `toSQL` and resolves with an empty result.
+
+     @private
+    **/
+    __record(sql, options) {
+        this.__dryRun.push({sql: mysql.format(sql, options), statement: sql, params: options});
+
+        if (/^\s*SELECT/i.test(sql)) {
+            return [null, []];
+        }
+
+        return [null, {affectedRows: 0, changedRows: 0, insertId: 0}];
+    }
+
+    /**
+     @private
+    **/
+    __query(client, sql, options) {
+        return instrument(this, sql, options, () => new Promise( res => {
+            client.query(sql, options, (err, results) => {
+                if (err) {
+                    this.error = mapError(err);
+
+                    return res([this.error]);
+                }
+
+                return res([null, results]);
+            });
+        }));
+    }
+
+    /**
+     Returns the connection borrowed by `multi()`, borrowing it on first use.
+
+     @private
+
+     @returns {Promise<[Error, object]>}
+    **/
+    async __multiClient() {
+        if (!this.client) {
+            const [err, conn] = await this.__getConnection();
+
+            if (err) {
+                this.error = err;
+
+                return [err];
+            }
+
+            this.client = conn;
+        }
+
+        return [null, this.client];
+    }
+
+    /**
+     Keeps the instance's reads at the primary for the sticky timeout.
+
+     @private
+    **/
+    __written() {
+        this.session.writtenAt = Date.now();
+    }
+
+    /**
+     Returns the read routing state of the configuration.
+
+     @private
+    **/
+    __route() {
+        const key = this.__poolKey();
+
+        if (!routes.has(key)) {
+            routes.set(key, {next: 0, retryAt: new Map()});
+        }
+
+        return routes.get(key);
+    }
+
+    /**
+     Returns the healthy replicas in the order they should be tried.
+
+     @private
+    **/
+    __replicas(route) {
+        const now = Date.now(),
+            healthy = this.replicas.filter(replica => (route.retryAt.get(this.__poolKey(replica)) || 0) <= now);
+
+        if (!healthy.length) {
+            return [];
+        }
+
+        let first = route.next++ % healthy.length;
+
+        if ("weighted" === this.config.balance) {
+            const weights = healthy.map(replica => _.isUndefined(replica.weight) ? 1 : replica.weight);
+
+            let pick = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+
+            first = _.findIndex(weights, weight => (pick -= weight) < 0);
+            first = -1 === first ? 0 : first;
+        }
+
+        return healthy.slice(first).concat(healthy.slice(0, first));
+    }
+
+    /**
+     @private
+    **/
+    __getConnection(config = this.config) {
+        return new Promise(res => {
+            this.getPool(config).getConnection((err, conn) => {
+                if (err) {
+                    return res([mapError(err)]);
+                }
+
+                return res([null, conn]);
+            });
+        });
+    }
+
+    /**
+     Returns the key identifying the pool to use. Options which do not affect the connection are left out.
+
+     @private
+    **/
+    __poolKey(config = this.config) {
+        return _.serialize(_.omit(config, localOptions));
+    }
+}
+
+
+/**
+ Makes the listed methods of the class follow the `throws` configuration option.
+
+ @param {function} Class
+ @param {array<string>} methods
+**/
+export function throwable(Class, methods) {
+    for(const name of methods) {
+        const method = Class.prototype[name];
+
+        Class.prototype[name] = function(...args) {
+            return this.__output(method, args, name);
+        };
+    }
+}
+
+throwable(Connect, ["transaction", "close", "toSQL"]);
@@ -0,0 +1,159 @@
+import * as _ from "./utils";
+
+/**
+ The base class of the errors returned by the database operations.
+**/
+export class DatabaseError extends Error {
+    /**
+     Constructor
+
+     @param {string} message
+     @param {object} original
+        The error returned by the mysql driver, if any. It's `code`, `errno`, `sqlState`, `sqlMessage`
+        and `sql` properties are copied over.
+    **/
+    constructor(message, original = null) {
+        super(message);
+
+        this.name = this.constructor.name;
+        this.original = original;
+
+        if (original) {
+            _.extend(this, _.pick(original, "code", "errno", "sqlState", "sqlMessage", "sql", "fatal"));
+        }
+    }
+}
+
+/**
+ Returned when the columns' values did not pass validation.
+**/
+export class ValidationError extends DatabaseError {
+    /**
+     Constructor
+
+     @param {string} message
+     @param {object} details
+        An object where the property name is the column's name and it's value is the error message.
+     @param {string} code
+    **/
+    constructor(message, details = {}, code = "invalid_value") {
+        super(message);
+
+        this.details = details;
+        this.code = code;
+    }
+}
+
+/**
+ Returned when a value conflicts with a unique or primary key.
+**/
+export class DuplicateKeyError extends DatabaseError {
+    constructor(message, original) {
+        super(message, original);
+
+        const [, key] = (original && original.sqlMessage || "").match(/for key '(?:[^']*\.)?([^'.]+)'/) || [];
+
+        // Unique columns are indexed under the column's name
+        this.key = key || null;
+        this.column = key || null;
+    }
+}
+
+/**
+ Returned when a foreign constraint fails.
+**/
+export class ForeignKeyError extends DatabaseError {
+    constructor(message, original) {
+        super(message, original);
+
+        const sqlMessage = original && original.sqlMessage || "",
+            [, constraint] = sqlMessage.match(/CONSTRAINT `([^`]+)`/) || [],
+            [, column] = sqlMessage.match(/FOREIGN KEY \(`([^`]+)`\)/) || [];
+
+        this.constraint = constraint || null;
+        this.column = column || null;
+    }
+}
+
+/**
+ Returned when the connection to the database fails or is lost.
+**/
+export class ConnectionError extends DatabaseError {}
+
+/**
+ Returned when a transaction is aborted due to a deadlock or a lock wait timeout. The operation
+ may be retried.
+**/
+export class DeadlockError extends DatabaseError {}
+
+/**
+ Returned when a row which is required to exist is not found.
+**/
+export class NotFoundError extends DatabaseError {}
+
+/**
+ Returned when a versioned row was changed, or removed, since the version given on update was read.
+**/
+export class ConflictError extends DatabaseError {
+    /**
+     Constructor
+
+     @param {string} message
+     @param {array<int>} updates
+        The indexes of the conflicting updates given to `updateMany`, if any.
+    **/
+    constructor(message, updates = []) {
+        super(message);
+
+        this.updates = updates;
+    }
+}
+
+/**
+ Returned when an operation is refused by the safety policy, i.e. a delete without conditions or a write
+ on a read only collection.
+**/
+export class UnsafeOperationError extends DatabaseError {}
+
+const codes = {
+    ER_DUP_ENTRY: DuplicateKeyError,
+    ER_DUP_ENTRY_WITH_KEY_NAME: DuplicateKeyError,
+    ER_NO_REFERENCED_ROW: ForeignKeyError,
+    ER_NO_REFERENCED_ROW_2: ForeignKeyError,
+    ER_ROW_IS_REFERENCED: ForeignKeyError,
+    ER_ROW_IS_REFERENCED_2: ForeignKeyError,
+    ER_LOCK_DEADLOCK: DeadlockError,
+    ER_LOCK_WAIT_TIMEOUT: DeadlockError,
+    ECONNREFUSED: ConnectionError,
+    ECONNRESET: ConnectionError,
+    ENOTFOUND: ConnectionError,
+    ETIMEDOUT: ConnectionError,
+    EHOSTUNREACH: ConnectionError,
+    PROTOCOL_CONNECTION_LOST: ConnectionError,
+    PROTOCOL_SEQUENCE_TIMEOUT: ConnectionError,
+    POOL_CLOSED: ConnectionError,
+    POOL_ENQUEUELIMIT: ConnectionError,
+    ER_ACCESS_DENIED_ERROR: ConnectionError,
+    ER_DBACCESS_DENIED_ERROR: ConnectionError,
+    ER_CON_COUNT_ERROR: ConnectionError
+};
+
+/**
+ Transforms the error returned by the mysql driver into its corresponding error class.
+
+ @param {object} err
+ @returns {object<DatabaseError>}
+**/
+export function mapError(err) {
+    if (!err || err instanceof DatabaseError) {
+        return err;
+    }
+
+    let ErrorClass = codes[err.code] || DatabaseError;
+
+    if (DatabaseError === ErrorClass && err.fatal) {
+        ErrorClass = ConnectionError;
+    }
+
+    return new ErrorClass(err.sqlMessage || err.message, err);
+}
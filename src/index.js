@@ -1,5 +1,10 @@
 import {Connect} from "./connect";
 import {Collection} from "./collection";
+import {MemoryCache, StoreCache} from "./cache";
+import {Migrator} from "./migration";
+import {events, getCounters, resetCounters} from "./instrument";
+import {DatabaseError, ValidationError, DuplicateKeyError, ForeignKeyError, ConnectionError, DeadlockError,
+    NotFoundError, ConflictError, UnsafeOperationError} from "./errors";
 
 export const name = 'MySQL';
 
@@ -20,4 +25,22 @@ export async function assert(config) {
     return conn.verify();
 }
 
-export {Collection};
\ No newline at end of file
+/**
+ Executes the callback inside a database transaction.
+
+ @param {object} config
+ @param {function} callback
+    {
+        @param {object<Transaction>} trx
+    }
+ @returns {Promise<[Error, *]>}
+**/
+export function transaction(config, callback) {
+    const conn = new Connect(config);
+
+    return conn.transaction(callback);
+}
+
+export {Collection, MemoryCache, StoreCache, Migrator, events, getCounters, resetCounters, DatabaseError,
+    ValidationError, DuplicateKeyError, ForeignKeyError, ConnectionError, DeadlockError, NotFoundError,
+    ConflictError, UnsafeOperationError};
\ No newline at end of file
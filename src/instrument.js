@@ -0,0 +1,143 @@
+import * as _ from "./utils";
+import mysql from "mysql";
+import {EventEmitter} from "events";
+import {AsyncLocalStorage} from "async_hooks";
+
+/**
+ Emits the `query`, `queryEnd` and `queryError` events of every statement executed by the library.
+
+ Each event receives an object holding:
+    {
+        @property {string} sql
+            The statement with the parameters, as returned by the `redact` option, formatted in.
+        @property {array|object} params
+            The parameters, as returned by the `redact` option.
+        @property {string} database
+        @property {string} table
+            The name of the table collection, if executed by one.
+        @property {string} operation
+            The name of the operation, i.e. `find` or `insert`, or the statement's first keyword.
+        @property {int} duration
+            The number of milliseconds the statement took. Set at `queryEnd` and `queryError`.
+        @property {int} affectedRows
+            The number of changed rows, or of returned rows. Set at `queryEnd`.
+        @property {object<Error>} error
+            Set at `queryError`.
+    }
+
+ The `hookError` event receives the `event`, `table` and `error` of an `afterInsert`, `afterUpdate` or
+ `afterDelete` hook which failed.
+**/
+export const events = new EventEmitter();
+
+const counters = {};
+
+/**
+ Holds the name of the operation being executed across it's asynchronous calls. Not available before
+ Node 12.17, where the statements are reported under their first keyword instead.
+
+ @private
+**/
+const operations = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
+resetCounters();
+
+/**
+ Returns a copy of the counters of the executed statements.
+
+ @returns {object}
+    {
+        @property {int} queries
+        @property {int} errors
+        @property {int} slowQueries
+        @property {int} duration
+            The total number of milliseconds spent executing the statements.
+        @property {object} operations
+            An object where the property name is the operation's name and it's value is the number of
+            statements executed by it.
+    }
+**/
+export function getCounters() {
+    return _.extend({}, counters, {operations: _.clone(counters.operations)});
+}
+
+/**
+ Sets every counter back to zero.
+
+ @returns {void}
+**/
+export function resetCounters() {
+    _.extend(counters, {queries: 0, errors: 0, slowQueries: 0, duration: 0, operations: {}});
+}
+
+/**
+ Executes the function as the named operation. The statements it executes, including through the other
+ operations it calls, are reported under that name. An operation called within another keeps the outer
+ operation's name unless `override` is set.
+
+ @param {string} name
+ @param {function} run
+ @param {Boolean} override
+ @returns {*}
+**/
+export function asOperation(name, run, override = false) {
+    if (!operations || (operations.getStore() && !override)) {
+        return run();
+    }
+
+    return operations.run(name, run);
+}
+
+/**
+ Executes the statement, reporting it through the events, the counters and the slow query logger.
+
+ @param {object<Connect>} conn
+    The instance executing the statement. Reads the `redact`, `slowQuery` and `logger` configuration options.
+ @param {string} sql
+ @param {array|object} params
+ @param {function} run
+    Executes the statement and resolves with its `[err, result]` tuple.
+ @returns {Promise<[Error, *]>}
+**/
+export async function instrument(conn, sql, params, run) {
+    const {redact, slowQuery, logger = console} = conn.config,
+        _params = redact ? redact.call(null, params, sql) : params,
+        operation = (operations && operations.getStore()) || _.first(sql.trim().split(/\s+/)).toUpperCase(),
+        payload = {
+            sql: mysql.format(sql, _params),
+            params: _params,
+            database: conn.config.database,
+            table: _.isFunction(conn.getName) ? conn.getName() : null,
+            operation
+        },
+        start = Date.now();
+
+    events.emit("query", payload);
+
+    const [err, result] = await run(),
+        duration = Date.now() - start;
+
+    counters.queries += 1;
+    counters.duration += duration;
+    counters.operations[operation] = (counters.operations[operation] || 0) + 1;
+
+    if (slowQuery && duration >= slowQuery) {
+        counters.slowQueries += 1;
+
+        logger.warn(`Slow query (${duration}ms): ${payload.sql}`);
+    }
+
+    if (err) {
+        counters.errors += 1;
+
+        events.emit("queryError", _.extend({}, payload, {duration, error: err}));
+
+        return [err];
+    }
+
+    const affectedRows = _.isArray(result) ? result.length : result && result.affectedRows;
+
+    events.emit("queryEnd", _.extend({}, payload, {duration, affectedRows}));
+
+    return [null, result];
+}
@@ -0,0 +1,338 @@
+import * as _ from "./utils";
+import fs from "fs";
+import path from "path";
+import {Connect, throwable} from "./connect";
+import Table from "./table";
+import {Collection} from "./collection";
+
+/**
+ Runs versioned schema migrations and keeps track of those which were applied.
+**/
+export class Migrator extends Connect {
+    /**
+     Constructor
+
+     @param {object} config
+        The database configuration to use on establishing connection and making transactions.
+     @param {object} options
+        {
+            @property {string} directory
+                The absolute path of the directory where the migration files are located. Each file must
+                export an `up` and `down` functions and are executed in the order of their file names, i.e.
+                `20201001-create-users.js`.
+            @property {array<object>} migrations
+                The list of migrations to use instead of, or in addition to, the migration files.
+                {
+                    @property {string} name
+                        The unique name of the migration.
+                    @property {function} up
+                    @property {function} down
+                }
+            @property {string} table
+                The name of the table collection where the applied migrations are recorded.
+                Default is `migrations`.
+            @property {int} lockTimeout
+                The number of seconds to wait for another running migration to finish. Default is `10`.
+        }
+    **/
+    constructor(config, {directory = false, migrations = [], table = "migrations", lockTimeout = 10} = {}) {
+        super(config);
+
+        this.directory = directory;
+        this.migrations = migrations;
+        this.lockTimeout = lockTimeout;
+        this.store = new Collection(table, {
+            Id: {type: "Id"},
+            name: {
+                type: "String",
+                length: 255,
+                required: true,
+                unique: true
+            },
+            batch: {
+                type: "Int",
+                required: true
+            },
+            migratedAt: {
+                type: "DateTime",
+                defaultValue: true
+            }
+        }, _.extend({}, config, {cache: false, throws: false}));
+    }
+
+    /**
+     Returns the list of migrations, sorted by their names.
+
+     @returns {[Error, Array<object>]}
+    **/
+    load() {
+        const list = this.migrations.slice();
+
+        if (this.directory) {
+            let files;
+
+            try {
+                files = fs.readdirSync(this.directory);
+            } catch(e) {
+                return [e];
+            }
+
+            for(const file of files) {
+                if (".js" !== path.extname(file)) {
+                    continue;
+                }
+
+                const mod = require(path.join(this.directory, file));
+
+                list.push(_.extend({name: path.basename(file, ".js")}, mod.default || mod));
+            }
+        }
+
+        return [null, _.sortBy(list, "name")];
+    }
+
+    /**
+     Runs all pending migrations. The migrations applied at the same run are recorded under the same
+     batch number.
+
+     @returns {Promise<[Error, Array<string>]>}
+        Returns the names of the applied migrations.
+    **/
+    migrate() {
+        return this.__locked(async () => {
+            const [err, migrations] = this.load();
+
+            if (err) {
+                return [err];
+            }
+
+            const [err2, applied] = await this.__applied();
+
+            if (err2) {
+                return [err2];
+            }
+
+            const names = _.pluck(applied, "name"),
+                pending = migrations.filter(migration => !_.contains(names, migration.name)),
+                batch = (_.max(_.pluck(applied, "batch").concat(0)) || 0) + 1,
+                done = [];
+
+            for(const migration of pending) {
+                const [err3] = await this.__run(migration, "up");
+
+                if (err3) {
+                    return [err3];
+                }
+
+                const [err4] = await this.store.insert({name: migration.name, batch});
+
+                if (err4) {
+                    return [err4];
+                }
+
+                done.push(migration.name);
+            }
+
+            return [null, done];
+        });
+    }
+
+    /**
+     Reverts the migrations applied at the last batches.
+
+     @param {int} steps
+        The number of batches to revert.
+     @returns {Promise<[Error, Array<string>]>}
+        Returns the names of the reverted migrations.
+    **/
+    rollback(steps = 1) {
+        return this.__locked(async () => {
+            const [err, migrations] = this.load();
+
+            if (err) {
+                return [err];
+            }
+
+            const [err2, applied] = await this.__applied();
+
+            if (err2) {
+                return [err2];
+            }
+
+            const batches = _.uniq(_.pluck(applied, "batch")).sort((a, b) => b - a).slice(0, steps),
+                targets = applied.filter(row => _.contains(batches, row.batch)).reverse(),
+                done = [];
+
+            for(const {name} of targets) {
+                const migration = _.findWhere(migrations, {name});
+
+                if (!migration) {
+                    return [new Error(`Missing migration ${name}!`)];
+                }
+
+                const [err3] = await this.__run(migration, "down");
+
+                if (err3) {
+                    return [err3];
+                }
+
+                const [err4] = await this.store.delete({where: {name}});
+
+                if (err4) {
+                    return [err4];
+                }
+
+                done.push(name);
+            }
+
+            return [null, done];
+        });
+    }
+
+    /**
+     Returns the state of each migration.
+
+     @returns {Promise<[Error, Array<object>]>}
+        {
+            @property {string} name
+            @property {Boolean} migrated
+            @property {int} batch
+            @property {string} migratedAt
+        }
+    **/
+    async status() {
+        const [err, migrations] = this.load();
+
+        if (err) {
+            return [err];
+        }
+
+        const [err2] = await this.store.create();
+
+        if (err2) {
+            return [err2];
+        }
+
+        const [err3, applied] = await this.__applied();
+
+        if (err3) {
+            return [err3];
+        }
+
+        return [null, migrations.map(({name}) => {
+            const row = _.findWhere(applied, {name}) || {};
+
+            return {
+                name,
+                migrated: !!row.Id,
+                batch: row.batch || null,
+                migratedAt: row.migratedAt || null
+            };
+        })];
+    }
+
+    /**
+     Returns the helper passed to the migration's `up` and `down` functions.
+
+     @returns {object}
+        {
+            @property {function} create
+                (name, schema, options) Creates a table collection.
+            @property {function} alter
+                (name, oldSchema, newSchema, options) Alters the table collection's structure.
+            @property {function} drop
+                (name) Removes the table collection.
+            @property {function} query
+                (sql, format) Executes a raw SQL statement.
+            @property {function} collection
+                (name, schema) Returns a collection instance to use to change the data.
+        }
+    **/
+    helper() {
+        // Migrations are how the tables are changed in production, so they are not refused there
+        const config = _.extend({}, this.config, {production: false});
+
+        return {
+            create: (name, schema, options = {}) => new Table(name, schema, config).create(options),
+            alter: (name, oldSchema, newSchema, options = {}) => new Table(name, oldSchema, config).alter(oldSchema, newSchema, options),
+            drop: name => new Table(name, {}, config).drop(),
+            query: (sql, format) => new Connect(config).exec(sql, format),
+            collection: (name, schema) => new Collection(name, schema, config)
+        };
+    }
+
+    /**
+     Executes the callback while holding a named lock so that only one migration runs at a time.
+
+     @private
+    **/
+    async __locked(callback) {
+        // Keep the lock's connection open until released
+        this.multi();
+
+        const lockName = `${this.config.database}.${this.store.getName()}`,
+            [err, rows] = await this.exec(`SELECT GET_LOCK(?, ?) AS locked`, [lockName, this.lockTimeout]);
+
+        if (err || 1 !== _.first(rows).locked) {
+            this.end();
+
+            return [err || new Error('Another migration is currently running!')];
+        }
+
+        let res;
+
+        try {
+            res = await this.store.create();
+
+            if (!res[0]) {
+                res = await callback();
+            }
+        } catch(e) {
+            res = [e];
+        } finally {
+            // Never leave the lock held, or every later run would be refused
+            await this.exec(`SELECT RELEASE_LOCK(?)`, [lockName]);
+            this.end();
+        }
+
+        return res;
+    }
+
+    /**
+     @private
+    **/
+    async __applied() {
+        const [err, rows] = await this.store.find({orderBy: "Id", order: "ASC"});
+
+        if (err) {
+            return [err];
+        }
+
+        return [null, rows || []];
+    }
+
+    /**
+     @private
+    **/
+    async __run(migration, direction) {
+        const fn = migration[direction];
+
+        if (!_.isFunction(fn)) {
+            return [new Error(`Migration ${migration.name} has no ${direction} function!`)];
+        }
+
+        try {
+            const res = await fn.call(null, this.helper());
+
+            if (_.isArray(res) && _.isError(_.first(res))) {
+                return [_.first(res)];
+            }
+        } catch(e) {
+            return [e];
+        }
+
+        return [null, true];
+    }
+}
+
+throwable(Migrator, ["migrate", "rollback", "status"]);
@@ -0,0 +1,293 @@
+import * as _ from "./utils";
+
+const sortOrders = ["ASC", "DESC"];
+
+/**
+ A chainable query builder which compiles into the conditions used by `Collection.find`.
+**/
+export class Query {
+    /**
+     Constructor
+
+     @param {object<Collection>} collection
+        The collection where the query is executed.
+     @param {object} conditions
+        The initial conditions.
+    **/
+    constructor(collection, conditions = {}) {
+        this.collection = collection;
+        this.conditions = conditions;
+    }
+
+    /**
+     Sets the columns to retrieve.
+
+     @param {...string|object} columns
+        The column names or column objects, i.e. `{$fn: "MAX", column: "age", as: "age"}`.
+     @returns {object<Query>}
+    **/
+    select(...columns) {
+        columns = _.flatten(columns);
+
+        _.devAssert(columns.every(col => _.isString(col) || _.isObject(col)), 'Invalid columns!');
+
+        this.conditions.columns = columns;
+
+        return this;
+    }
+
+    /**
+     Adds conditions which must all be met along with the previous ones.
+
+     @param {object} where
+        The conditions in `whereClause` format.
+     @returns {object<Query>}
+    **/
+    where(where) {
+        _.devAssert(_.isObject(where) && !_.isArray(where), 'Invalid where conditions!');
+
+        const current = this.conditions.where;
+
+        if (!current || _.isEmpty(current)) {
+            this.conditions.where = _.clone(where);
+        } else if (_.isEmpty(_.intersection(_.keys(current), _.keys(where)))) {
+            this.conditions.where = _.extend({}, current, where);
+        } else {
+            this.conditions.where = {$and: [current, where]};
+        }
+
+        return this;
+    }
+
+    /**
+     Adds conditions which may be met instead of the previous ones.
+
+     @param {object} where
+     @returns {object<Query>}
+    **/
+    orWhere(where) {
+        _.devAssert(_.isObject(where) && !_.isArray(where), 'Invalid where conditions!');
+
+        const current = this.conditions.where;
+
+        if (!current || _.isEmpty(current)) {
+            return this.where(where);
+        }
+
+        this.conditions.where = {$or: [current, where]};
+
+        return this;
+    }
+
+    /**
+     Adds a column to sort the results by.
+
+     @param {string} column
+     @param {string} order
+        Either `ASC` or `DESC`.
+     @returns {object<Query>}
+    **/
+    orderBy(column, order = "DESC") {
+        _.devAssert(_.isString(column), 'Invalid order column!');
+        _.devAssert(_.contains(sortOrders, order.toUpperCase()), `Invalid sort order ${order}!`);
+
+        this.conditions.orderBy = _.extend({}, this.conditions.orderBy, _.object([column], [order.toUpperCase()]));
+
+        return this;
+    }
+
+    /**
+     Sets how the results are grouped.
+
+     @param {string|array|object} column
+        See `clause.groupBy` for the options.
+     @param {string} groupOrder
+     @returns {object<Query>}
+    **/
+    groupBy(column, groupOrder = false) {
+        _.devAssert(_.isString(column) || _.isObject(column), 'Invalid group column!');
+
+        this.conditions.groupBy = column;
+        this.conditions.groupOrder = groupOrder;
+
+        return this;
+    }
+
+    /**
+     Sets the conditions the grouped results must met.
+
+     @param {object} having
+     @returns {object<Query>}
+    **/
+    having(having) {
+        _.devAssert(_.isObject(having), 'Invalid having conditions!');
+
+        this.conditions.having = having;
+
+        return this;
+    }
+
+    /**
+     Sets the related collections to join. See `Collection.find` for the options.
+
+     @param {string|array|object} join
+     @returns {object<Query>}
+    **/
+    join(join) {
+        this.conditions.join = join;
+
+        return this;
+    }
+
+    /**
+     Includes the soft deleted rows.
+
+     @returns {object<Query>}
+    **/
+    withTrashed() {
+        this.conditions.withTrashed = true;
+
+        return this;
+    }
+
+    /**
+     Only includes the soft deleted rows.
+
+     @returns {object<Query>}
+    **/
+    onlyTrashed() {
+        this.conditions.onlyTrashed = true;
+
+        return this;
+    }
+
+    /**
+     Limits the results to the given page.
+
+     @param {int} page
+     @param {int} perPage
+     @returns {object<Query>}
+    **/
+    page(page, perPage = 50) {
+        _.devAssert(page > 0 && perPage > 0, 'Invalid page!');
+
+        this.conditions.page = parseInt(page);
+        this.conditions.perPage = parseInt(perPage);
+
+        return this;
+    }
+
+    /**
+     Returns a copy of the query which can be refined without changing the original.
+
+     @returns {object<Query>}
+    **/
+    clone() {
+        return new Query(this.collection, deepClone(this.conditions));
+    }
+
+    /**
+     Returns the conditions in the format used by `Collection.find`.
+
+     @returns {object}
+    **/
+    toConditions() {
+        return this.conditions;
+    }
+
+    /**
+     Executes the query and returns all results.
+
+     @returns {Promise<[Error, Array<*>]>}
+    **/
+    all() {
+        return this.collection.find(this.conditions);
+    }
+
+    /**
+     Executes the query and returns the first result.
+
+     @returns {Promise<[Error, Object]>}
+    **/
+    first() {
+        const {columns, where} = this.conditions;
+
+        return this.collection.findOne(columns, where || {}, this.__options({page: 1, perPage: 1}));
+    }
+
+    /**
+     Executes the query and returns the column's value of the first result.
+
+     @param {string} column
+     @returns {Promise<[Error, *]>}
+    **/
+    value(column) {
+        return this.collection.getValue(column, this.conditions.where || {}, this.__options({page: 1, perPage: 1}));
+    }
+
+    /**
+     Returns the number of rows matching the query.
+
+     @returns {Promise<[Error, Int]>}
+    **/
+    count() {
+        const options = _.omit(this.__options(), "orderBy", "order", "page", "perPage");
+
+        return this.collection.count("*", this.conditions.where || {}, options);
+    }
+
+    /**
+     Executes the query and returns a page of the results along with the pagination details.
+
+     @param {object} options
+        The pagination options, i.e. `after`, `before` or `cursor`. See `Collection.paginate` for details.
+     @returns {Promise<[Error, Object]>}
+    **/
+    paginate(options = {}) {
+        return this.collection.paginate(_.extend({}, this.conditions, options));
+    }
+
+    /**
+     Returns the statement the query would execute without executing it.
+
+     @returns {Promise<[Error, Array<object>]>}
+        See `Collection.toSQL` for details.
+    **/
+    toSQL() {
+        return this.collection.toSQL("find", this.conditions);
+    }
+
+    /**
+     Makes the query awaitable, resolving with all results.
+    **/
+    then(resolve, reject) {
+        return this.all().then(resolve, reject);
+    }
+
+    /**
+     Returns the conditions other than the columns and where conditions.
+
+     @private
+    **/
+    __options(options = {}) {
+        return _.extend(_.omit(this.conditions, "columns", "where"), options);
+    }
+}
+
+/**
+ Copies the plain objects and arrays of the conditions. Other values such as dates and collection
+ instances are kept as is.
+
+ @private
+**/
+function deepClone(value) {
+    if (_.isArray(value)) {
+        return value.map(deepClone);
+    }
+
+    if (_.isObject(value) && Object === value.constructor) {
+        return _.mapObject(value, deepClone);
+    }
+
+    return value;
+}
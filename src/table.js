@@ -1,5 +1,27 @@
 import * as _ from "./utils";
-import {Connect} from "./connect";
+import {Connect, throwable} from "./connect";
+import {UnsafeOperationError} from "./errors";
+
+/**
+ The default display width of the integer column types.
+
+ @private
+**/
+const intLengths = {
+    TinyInt: 4,
+    SmallInt: 6,
+    Int: 11,
+    BigInt: 20
+};
+
+/**
+ The query to read the live indexes of the table.
+
+ @private
+**/
+const indexQuery = `SELECT INDEX_NAME, COLUMN_NAME, NON_UNIQUE, SEQ_IN_INDEX, INDEX_TYPE, SUB_PART
+    FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+    ORDER BY INDEX_NAME, SEQ_IN_INDEX`;
 
 /**
  The class use to transact of the specified collection table.
@@ -14,12 +36,31 @@ export default class Table extends Connect {
         An object defining the schema of the table's columns.
      @param {object} config
         The object use to establish and verify the database transaction.
+     @param {object} options
+        {
+            @property {array<object>} indexes
+                The list of the table's indexes which spans over one or more columns.
+                {
+                    @property {string} name
+                        The name of the index. Default is created out of the type and columns.
+                    @property {array<string|object>} columns
+                        The list of column names, or objects with `column` and `length` properties to only index
+                        the first `length` characters of the column.
+                    @property {string} type
+                        The index type. Options are `index`, `unique` or `fulltext`. Default is `index`.
+                }
+            @property {Boolean} dropUnknownIndexes
+                Whether `alter` drops the live indexes which are not declared. Default is `false`, where
+                only the declared indexes which differ are recreated.
+        }
     **/
-    constructor(name, schema, config) {
+    constructor(name, schema, config, options = {}) {
         super(config);
 
         this.name = name;
         this.schema = schema;
+        this.indexes = (options.indexes || []).map(index => this.__normalizeIndex(index));
+        this.dropUnknownIndexes = !!options.dropUnknownIndexes;
 
         // Bind the helper method for convenience
         this.__returnTrue = this.__returnTrue.bind(this);
@@ -55,8 +96,12 @@ export default class Table extends Connect {
         const [columns, indexes] = this.__mapColumnStructure(this.schema),
             _options = [];
 
-        if (indexes && indexes.length) {
-            columns.push('Index (`' + indexes.join('`,`') + '`)');
+        for(const index of indexes) {
+            columns.push(`INDEX \`${index}\` (\`${index}\`)`);
+        }
+
+        for(const index of this.indexes) {
+            columns.push(this.__indexDefinition(index));
         }
 
         if (!_.isEmpty(options)) {
@@ -71,26 +116,201 @@ export default class Table extends Connect {
         return this.exec(sql, format).then(this.__returnTrue);
     }
 
+    /**
+     Reads the live table structure from the database and returns it in schema format.
+
+     @returns {Promise<[Error, Object]>}
+    **/
+    async describe() {
+        const table = this.getName(),
+            sql = [
+                `SELECT COLUMN_NAME, COLUMN_TYPE, DATA_TYPE, IS_NULLABLE, COLUMN_DEFAULT, COLUMN_KEY, EXTRA
+                    FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+                    ORDER BY ORDINAL_POSITION`,
+                indexQuery,
+                `SELECT k.CONSTRAINT_NAME, k.COLUMN_NAME, k.REFERENCED_TABLE_NAME, k.REFERENCED_COLUMN_NAME,
+                    r.UPDATE_RULE, r.DELETE_RULE FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+                    JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS r
+                        ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+                    WHERE k.TABLE_SCHEMA = DATABASE() AND k.TABLE_NAME = ? AND k.REFERENCED_TABLE_NAME IS NOT NULL`
+            ],
+            [err, results] = await this.__introspect(sql.join("; "), [table, table, table]);
+
+        if (err) {
+            return [err];
+        }
+
+        const [columns, indexes, foreigns] = results;
+
+        if (!columns.length) {
+            return [new Error(`Table ${table} does not exist!`)];
+        }
+
+        const schema = {};
+
+        for(const column of columns) {
+            schema[column.COLUMN_NAME] = this.__mapLiveColumn(column);
+        }
+
+        for(const index of indexes) {
+            const def = schema[index.COLUMN_NAME];
+
+            // The column's own index is named after the column, the others are defined in the table's indexes
+            if (!def || "Id" === def.type || index.INDEX_NAME !== index.COLUMN_NAME || "FULLTEXT" === index.INDEX_TYPE) {
+                continue;
+            }
+
+            if (parseInt(index.NON_UNIQUE)) {
+                def.index = true;
+            } else {
+                def.unique = true;
+            }
+        }
+
+        for(const foreign of foreigns) {
+            const def = schema[foreign.COLUMN_NAME],
+                ref = {
+                    CASCADE: "cascade",
+                    RESTRICT: "strict",
+                    "SET NULL": "null",
+                    "SET DEFAULT": "default"
+                };
+
+            def.foreign = {
+                key: foreign.CONSTRAINT_NAME,
+                name: this.__unprefixed(foreign.REFERENCED_TABLE_NAME),
+                column: foreign.REFERENCED_COLUMN_NAME
+            };
+
+            if (ref[foreign.DELETE_RULE]) {
+                def.foreign.onDelete = ref[foreign.DELETE_RULE];
+            }
+
+            if (ref[foreign.UPDATE_RULE]) {
+                def.foreign.onUpdate = ref[foreign.UPDATE_RULE];
+            }
+        }
+
+        return [null, schema];
+    }
+
+    /**
+     Compares the declared schema against the live table structure.
+
+     @param {object} schema
+        The declared schema. If omitted, will use the schema of the instance.
+     @returns {Promise<[Error, Array<object>]>}
+        Returns the list of differences, empty if both matches.
+        {
+            @property {string} kind
+                The kind of difference. Options are `column`, `index` or `foreign`.
+            @property {string} name
+                The column's name, or the index's name for the table's indexes.
+            @property {string} change
+                Either `missing` if it is declared but not in the database, `unexpected` if it is in the database
+                but not declared or `changed` if both differ.
+            @property {*} declared
+            @property {*} live
+        }
+    **/
+    async diff(schema = false) {
+        const [err, live] = await this.describe();
+
+        if (err) {
+            return [err];
+        }
+
+        schema = schema || this.schema;
+
+        const diffs = [],
+            push = (kind, name, declared, live) => {
+                if (_.isEqual(declared, live)) {
+                    return;
+                }
+
+                let change = "changed";
+
+                if (_.isNull(live) || false === live) {
+                    change = "missing";
+                } else if (_.isNull(declared) || false === declared) {
+                    change = "unexpected";
+                }
+
+                diffs.push({kind, name, change, declared, live});
+            };
+
+        for(const name of _.union(_.keys(schema), _.keys(live))) {
+            const declared = schema[name],
+                current = live[name];
+
+            if (!declared || !current) {
+                push("column", name, declared ? this.__columnSignature(declared) : null,
+                    current ? this.__columnSignature(current) : null);
+
+                continue;
+            }
+
+            push("column", name, this.__columnSignature(declared), this.__columnSignature(current));
+
+            if ("Id" !== declared.type) {
+                push("index", name, !!declared.index, !!current.index);
+            }
+
+            push("foreign", name, this.__foreignSignature(declared), this.__foreignSignature(current));
+        }
+
+        const [indexErr, indexes] = await this.__liveIndexes(schema);
+
+        if (indexErr) {
+            return [indexErr];
+        }
+
+        for(const name of _.union(_.pluck(this.indexes, "name"), _.pluck(indexes, "name"))) {
+            const declared = _.findWhere(this.indexes, {name}),
+                current = _.findWhere(indexes, {name});
+
+            push("index", name, declared ? _.omit(declared, "name") : null, current ? _.omit(current, "name") : null);
+        }
+
+        return [null, diffs];
+    }
+
     /**
      Alter the table structure in the database.
 
      @param {object} oldSchema
-        An object schema which was previously used to create the table collection.
+        An object schema which was previously used to create the table collection. If omitted, the live
+        table structure is read from the database and only the columns which differ are changed.
      @param {object} newSchema
         A new set of object which redefines how a table collection structure is. If omitted, will use the schema use to defined
         by the sub-class.
      @param {object} options
         Additional table options to define how a table structure is.
      @returns {Promise<[Error, Boolean]>}
+        Returns an `UnsafeOperationError` when the `production` configuration option is set.
     **/
-    async alter(oldSchema, newSchema = {}, options = {}) {
-        // Mark for multiple transactions
-        this.multi();
+    async alter(oldSchema = false, newSchema = {}, options = {}) {
+        if (this.config.production && !this.__dryRun) {
+            return [new UnsafeOperationError(`Cannot alter ${this.getName()} in production!`)];
+        }
 
         if (!newSchema || _.isEmpty(newSchema)) {
             newSchema = this.schema;
         }
 
+        if (!oldSchema) {
+            const [err, live] = await this.describe();
+
+            if (err) {
+                return [err];
+            }
+
+            oldSchema = this.__matchLiveSchema(live, newSchema);
+        }
+
+        // Mark for multiple transactions
+        this.multi();
+
         const format = [this.getName()],
             sql = [],
             newIndexes = [],
@@ -194,34 +414,40 @@ export default class Table extends Connect {
             const _options = [];
 
             for(const _key of _.keys(options)) {
-                _options.push(`${_key}=${options[key]}`);
+                _options.push(`${_key}=${options[_key]}`);
             }
 
             sqlString += _options.join(", ");
         }
 
-        const [err] = await this.exec(sqlString, format);
+        if (sql.length || !_.isEmpty(options)) {
+            const [err] = await this.exec(sqlString, format);
 
-        if (err) {
-            this.end();
+            if (err) {
+                this.end();
 
-            return [err];
+                return [err];
+            }
         }
 
         // Remove indexes if there's any
-        if (dropIndexes.length) {
-            for(const index of dropIndexes) {
-                await this.exec(`DROP INDEX ?? ON ??`, [index, this.getName()]);
-            }
+        for(const index of dropIndexes) {
+            await this.exec(`DROP INDEX ?? ON ??`, [index, this.getName()]);
         }
 
         // Add new index
-        if (newIndexes.length) {
-            await this.exec('CREATE INDEX ?? ON ??', [newIndexes, this.getName()]);
+        for(const index of newIndexes) {
+            await this.exec('CREATE INDEX ?? ON ?? (??)', [index, this.getName(), index]);
         }
 
+        const [indexErr] = await this.__alterIndexes(newSchema);
+
         this.end();
 
+        if (indexErr) {
+            return [indexErr];
+        }
+
         return [null, true];
     }
 
@@ -229,11 +455,150 @@ export default class Table extends Connect {
      Removes table collection in the database.
 
      @returns {Promise<[Error, Boolean]>}
+        Returns an `UnsafeOperationError` when the `production` configuration option is set.
     **/
     drop() {
+        if (this.config.production && !this.__dryRun) {
+            return Promise.resolve([new UnsafeOperationError(`Cannot drop ${this.getName()} in production!`)]);
+        }
+
         return this.exec('DROP TABLE ??', [this.getName()]).then(this.__returnTrue);
     }
 
+    /**
+     Creates or recreates the table's indexes which differ from the live indexes by name. The live indexes
+     which are not declared are only dropped when `dropUnknownIndexes` is set.
+
+     @private
+
+     @param {object} schema
+     @returns {Promise<[Error, Boolean]>}
+    **/
+    async __alterIndexes(schema) {
+        const [err, live] = await this.__liveIndexes(schema),
+            table = this.getName();
+
+        if (err) {
+            return [err];
+        }
+
+        for(const index of live) {
+            const declared = _.findWhere(this.indexes, {name: index.name});
+
+            // Indexes added outside of the collection, i.e. by hand, are kept unless asked otherwise
+            if (!declared && !this.dropUnknownIndexes) {
+                continue;
+            }
+
+            if (!declared || !_.isEqual(_.omit(declared, "name"), _.omit(index, "name"))) {
+                const [dropErr] = await this.exec(`DROP INDEX ?? ON ??`, [index.name, table]);
+
+                if (dropErr) {
+                    return [dropErr];
+                }
+            }
+        }
+
+        for(const index of this.indexes) {
+            const current = _.findWhere(live, {name: index.name});
+
+            if (current && _.isEqual(_.omit(current, "name"), _.omit(index, "name"))) {
+                continue;
+            }
+
+            const [createErr] = await this.exec(`ALTER TABLE ?? ADD ${this.__indexDefinition(index)}`, [table]);
+
+            if (createErr) {
+                return [createErr];
+            }
+        }
+
+        return [null, true];
+    }
+
+    /**
+     Reads the live indexes of the table which are defined in the table's indexes. The primary key, the
+     column's own indexes and the foreign key indexes are left out, unless defined in the table's indexes.
+
+     @private
+
+     @param {object} schema
+     @returns {Promise<[Error, Array<object>]>}
+    **/
+    async __liveIndexes(schema) {
+        const [err, rows] = await this.__introspect(indexQuery, [this.getName()]);
+
+        if (err) {
+            return [err];
+        }
+
+        const indexes = [],
+            named = _.pluck(this.indexes, "name"),
+            foreignKeys = _.compact(_.values(schema).map(def => def.foreign && def.foreign.key));
+
+        for(const row of rows) {
+            const isColumnIndex = row.INDEX_NAME === row.COLUMN_NAME || _.contains(foreignKeys, row.INDEX_NAME);
+
+            if ("PRIMARY" === row.INDEX_NAME || (isColumnIndex && !_.contains(named, row.INDEX_NAME))) {
+                continue;
+            }
+
+            let index = _.findWhere(indexes, {name: row.INDEX_NAME});
+
+            if (!index) {
+                let type = parseInt(row.NON_UNIQUE) ? "index" : "unique";
+
+                if ("FULLTEXT" === row.INDEX_TYPE) {
+                    type = "fulltext";
+                }
+
+                index = {name: row.INDEX_NAME, type, columns: []};
+                indexes.push(index);
+            }
+
+            index.columns.push({column: row.COLUMN_NAME, length: row.SUB_PART ? parseInt(row.SUB_PART) : null});
+        }
+
+        return [null, indexes];
+    }
+
+    /**
+     Returns the index's definition in a comparable format.
+
+     @private
+    **/
+    __normalizeIndex({name, columns, type = "index"}) {
+        const _columns = _.flatten([columns]).map(col => {
+            if (_.isString(col)) {
+                return {column: col, length: null};
+            }
+
+            return {column: col.column, length: col.length || null};
+        });
+
+        type = type.toLowerCase();
+
+        if (!name) {
+            const prefix = {index: "idx", unique: "uniq", fulltext: "ft"};
+
+            name = [prefix[type] || type].concat(_.pluck(_columns, "column")).join("_");
+        }
+
+        return {name, type, columns: _columns};
+    }
+
+    /**
+     Returns the index's definition as it is written in `CREATE TABLE` and `CREATE INDEX` statements.
+
+     @private
+    **/
+    __indexDefinition(index) {
+        const type = {unique: "UNIQUE ", fulltext: "FULLTEXT "}[index.type] || "",
+            columns = index.columns.map(({column, length}) => length ? `\`${column}\`(${length})` : `\`${column}\``);
+
+        return `${type}INDEX \`${index.name}\` (${columns.join(", ")})`;
+    }
+
     /**
      Helper method to return with a boolean result.
 
@@ -244,6 +609,299 @@ export default class Table extends Connect {
         return [err, !!done];
     }
 
+    /**
+     Returns the schema's column definition out of the column's information read from the database.
+
+     @private
+    **/
+    __mapLiveColumn(column) {
+        const type = column.COLUMN_TYPE.toLowerCase(),
+            def = {},
+            [, length] = type.match(/\((\d+)\)/) || [];
+
+        if (/auto_increment/i.test(column.EXTRA) && /^bigint/.test(type)) {
+            // The primary id is always created the same way
+            return {type: "Id"};
+        }
+
+        switch(column.DATA_TYPE.toLowerCase()) {
+            case "bigint" :
+                // Foreign ids are created as unsigned big integers
+                if (/unsigned/.test(type)) {
+                    def.type = "ForeignId";
+                    break;
+                }
+
+                def.type = "BigInt";
+                break;
+
+            case "tinyint" :
+            case "smallint" :
+                def.type = "tinyint" === column.DATA_TYPE.toLowerCase() ? "TinyInt" : "SmallInt";
+
+                if (length) {
+                    def.length = parseInt(length);
+                }
+                break;
+
+            case "decimal" :
+                const [, precision, scale] = type.match(/\((\d+),\s*(\d+)\)/) || [];
+
+                def.type = "Decimal";
+                def.precision = parseInt(precision);
+                def.scale = parseInt(scale);
+                break;
+
+            case "text" :
+                def.type = "Text";
+                break;
+
+            case "mediumtext" :
+                def.type = "MediumText";
+                break;
+
+            case "blob" :
+                def.type = "Blob";
+                break;
+
+            case "mediumblob" :
+                def.type = "MediumBlob";
+                break;
+
+            case "longblob" :
+                def.type = "LongBlob";
+                break;
+
+            case "varbinary" :
+                def.type = "Binary";
+                def.length = parseInt(length);
+                break;
+
+            case "binary" :
+                def.type = 16 === parseInt(length) ? "UUID" : column.COLUMN_TYPE;
+                break;
+
+            case "time" :
+                def.type = "Time";
+                break;
+
+            case "year" :
+                def.type = "Year";
+                break;
+
+            case "varchar" :
+                def.type = "String";
+                def.length = parseInt(length);
+                break;
+
+            case "longtext" :
+                def.type = "LongText";
+                break;
+
+            case "json" :
+                def.type = "JSON";
+                break;
+
+            case "enum" :
+                def.type = "Enum";
+                def.enum = (column.COLUMN_TYPE.match(/'((?:[^']|'')*)'/g) || [])
+                    .map(value => value.slice(1, -1).replace(/''/g, "'"));
+                break;
+
+            case "int" :
+                def.type = "Int";
+
+                if (length) {
+                    def.length = parseInt(length);
+                }
+                break;
+
+            case "char" :
+                def.type = 1 === parseInt(length) ? "Boolean" : column.COLUMN_TYPE;
+                break;
+
+            case "date" :
+                def.type = "Date";
+                break;
+
+            case "datetime" :
+                def.type = "DateTime";
+                break;
+
+            case "timestamp" :
+                def.type = "Timestamp";
+                break;
+
+            case "float" :
+                def.type = "Float";
+                break;
+
+            case "double" :
+                def.type = "Float";
+                def.length = 53;
+                break;
+
+            default :
+                def.type = column.COLUMN_TYPE;
+                break;
+        }
+
+        if (/unsigned/.test(type) && _.contains(["TinyInt", "SmallInt", "Int", "BigInt", "Decimal"], def.type)) {
+            def.unsigned = true;
+        }
+
+        if ("NO" === column.IS_NULLABLE) {
+            def.required = true;
+        }
+
+        if (_.contains(["Date", "DateTime", "Timestamp"], def.type)) {
+            if (/current_timestamp/i.test(column.COLUMN_DEFAULT)) {
+                def.defaultValue = true;
+            }
+
+            if (/on update current_timestamp/i.test(column.EXTRA)) {
+                def.update = true;
+            }
+        }
+
+        return def;
+    }
+
+    /**
+     Returns the comparable structure of a column's definition. Properties which are not stored in the
+     database, such as validation functions, are left out.
+
+     @private
+    **/
+    __columnSignature(def) {
+        let sig = {
+            type: def.type,
+            required: !!def.required,
+            unique: !!def.unique
+        };
+
+        switch(def.type) {
+            case "Id" :
+                return {type: "Id"};
+
+            case "String" :
+                // Stored as a long text without length
+                if (!def.length) {
+                    sig.type = "LongText";
+                    break;
+                }
+
+                sig.length = def.length;
+                break;
+
+            case "Object" :
+            case "Array" :
+                // Stored the same way as a long text
+                sig.type = "LongText";
+                break;
+
+            case "Enum" :
+                sig.enum = def.enum;
+                break;
+
+            case "Float" :
+                sig.double = (def.length || 4) > 24;
+                break;
+
+            case "ForeignId" :
+                // Read back from the database as an unsigned big integer
+                sig.type = "BigInt";
+                sig.unsigned = true;
+                break;
+
+            case "TinyInt" :
+            case "SmallInt" :
+            case "Int" :
+            case "BigInt" :
+                sig.unsigned = !!def.unsigned;
+                break;
+
+            case "Decimal" :
+                sig.precision = def.precision || 10;
+                sig.scale = def.scale || 2;
+                sig.unsigned = !!def.unsigned;
+                break;
+
+            case "Binary" :
+                sig.length = def.length || 255;
+                break;
+
+            case "Date" :
+            case "DateTime" :
+            case "Timestamp" :
+                sig.defaultValue = !!def.defaultValue;
+                sig.update = !!def.update;
+                break;
+        }
+
+        return sig;
+    }
+
+    /**
+     @private
+    **/
+    __foreignSignature(def) {
+        if (!def.foreign) {
+            return false;
+        }
+
+        const {key, name, column, onDelete, onUpdate} = def.foreign;
+
+        return {
+            key,
+            name: this.__unprefixed(name),
+            column,
+            onDelete: onDelete ? onDelete.toLowerCase() : null,
+            onUpdate: onUpdate ? onUpdate.toLowerCase() : null
+        };
+    }
+
+    /**
+     Returns the live schema where the columns which structure matches the new schema are replaced by
+     the new column definitions so that only what differs is altered.
+
+     @private
+    **/
+    __matchLiveSchema(live, newSchema) {
+        const schema = {};
+
+        for(const key of _.keys(live)) {
+            const current = live[key],
+                def = newSchema[key];
+
+            schema[key] = current;
+
+            if (!def) {
+                continue;
+            }
+
+            if (_.isEqual(this.__columnSignature(current), this.__columnSignature(def))) {
+                // Keep the live index and constraint to compare against
+                schema[key] = _.extend(_.omit(def, "index", "foreign"), _.pick(current, "index", "foreign"));
+            }
+        }
+
+        return schema;
+    }
+
+    /**
+     @private
+    **/
+    __unprefixed(name) {
+        const prefix = this.getPrefix();
+
+        if (prefix && 0 === name.indexOf(prefix)) {
+            return name.substr(prefix.length);
+        }
+
+        return name;
+    }
+
     /**
      @private
     **/
@@ -291,7 +949,6 @@ export default class Table extends Connect {
             switch(def.type) {
                 case 'Id' :
                     column.push(`BIGINT(20) UNSIGNED NOT NULL PRIMARY KEY AUTO_INCREMENT`);
-                    indexes.push(name);
                     break;
 
                 case 'String' :
@@ -314,9 +971,47 @@ export default class Table extends Connect {
                     break;
 
                 case 'Int' :
-                    let intLength = def.length || 11;
+                case 'TinyInt' :
+                case 'SmallInt' :
+                case 'BigInt' :
+                    let intLength = def.length || intLengths[def.type];
+
+                    column.push(`${def.type.toUpperCase()}(${intLength})`);
 
-                    column.push(`INT(${intLength})`);
+                    if (def.unsigned) {
+                        column.push('UNSIGNED');
+                    }
+                    break;
+
+                case 'Decimal' :
+                    column.push(`DECIMAL(${def.precision || 10}, ${def.scale || 2})`);
+
+                    if (def.unsigned) {
+                        column.push('UNSIGNED');
+                    }
+                    break;
+
+                case 'Text' :
+                case 'MediumText' :
+                case 'LongText' :
+                case 'Blob' :
+                case 'MediumBlob' :
+                case 'LongBlob' :
+                case 'Time' :
+                case 'Year' :
+                    column.push(def.type.toUpperCase());
+                    break;
+
+                case 'Binary' :
+                    column.push(`VARBINARY(${def.length || 255})`);
+                    break;
+
+                case 'UUID' :
+                    column.push('BINARY(16)');
+                    break;
+
+                case 'JSON' :
+                    column.push('JSON');
                     break;
 
                 case 'Object' :
@@ -380,4 +1075,6 @@ export default class Table extends Connect {
 
         return [columns, indexes];
     }
-}
\ No newline at end of file
+}
+
+throwable(Table, ["create", "alter", "drop", "describe", "diff"]);
@@ -0,0 +1,150 @@
+import * as _ from "./utils";
+import {mapError} from "./errors";
+
+/**
+ The number of savepoints created, used to name each savepoint uniquely so that sibling nested
+ transactions running at the same time do not replace one another's.
+
+ @private
+**/
+let savepoints = 0;
+
+/**
+ Groups statements executed over a single connection into one database transaction.
+**/
+export class Transaction {
+    /**
+     Constructor
+
+     @param {object} client
+        The pooled connection the transaction's statements are executed at.
+     @param {int} depth
+        The nesting level of the transaction. Nested transactions are executed as savepoints.
+     @param {object<Transaction>} parent
+        The transaction the savepoint belongs to.
+    **/
+    constructor(client, depth = 0, parent = null) {
+        this.client = client;
+        this.depth = depth;
+        this.parent = parent;
+        this.callbacks = [];
+        this.savepoint = depth ? `sp_${++savepoints}` : null;
+    }
+
+    /**
+     Adds a callback executed once the outermost transaction is committed. The callbacks of a rolled back
+     transaction or savepoint are discarded.
+
+     @param {function} callback
+    **/
+    onCommit(callback) {
+        this.callbacks.push(callback);
+    }
+
+    /**
+     Executes a statement within the transaction.
+
+     @param {string} sql
+     @param {object} options
+     @returns {Promise<[Error, *]>}
+    **/
+    exec(sql, options) {
+        return new Promise( res => {
+            this.client.query(sql, options, (err, results) => {
+                if (err) {
+                    return res([mapError(err)]);
+                }
+
+                return res([null, results]);
+            });
+        });
+    }
+
+    /**
+     Starts a nested transaction using a savepoint.
+
+     @param {function} callback
+     @returns {Promise<[Error, *]>}
+    **/
+    transaction(callback) {
+        return new Transaction(this.client, this.depth + 1, this).run(callback);
+    }
+
+    /**
+     Executes the callback inside the transaction. The transaction is committed when the callback
+     succeeds and rolled back when it throws or returns an `[err]` result.
+
+     @param {function} callback
+        {
+            @param {object<Transaction>} trx
+        }
+     @returns {Promise<[Error, *]>}
+    **/
+    async run(callback) {
+        const [begin, commit, rollback] = this.__statements();
+
+        let [err] = await this.exec(begin),
+            result;
+
+        if (err) {
+            return [err];
+        }
+
+        try {
+            result = await callback.call(null, this);
+        } catch(e) {
+            err = e;
+        }
+
+        if (!err && _.isArray(result) && _.isError(_.first(result))) {
+            err = _.first(result);
+        }
+
+        if (!err) {
+            [err] = await this.exec(commit);
+
+            if (!err) {
+                await this.__committed();
+
+                return [null, result];
+            }
+        }
+
+        await this.exec(rollback);
+
+        return [err];
+    }
+
+    /**
+     @private
+    **/
+    async __committed() {
+        const callbacks = this.callbacks;
+
+        this.callbacks = [];
+
+        // A released savepoint is only committed along with its parent transaction
+        if (this.parent) {
+            this.parent.callbacks.push(...callbacks);
+
+            return;
+        }
+
+        for(const callback of callbacks) {
+            await callback.call(null);
+        }
+    }
+
+    /**
+     @private
+    **/
+    __statements() {
+        if (!this.depth) {
+            return ["START TRANSACTION", "COMMIT", "ROLLBACK"];
+        }
+
+        const savepoint = this.savepoint;
+
+        return [`SAVEPOINT ${savepoint}`, `RELEASE SAVEPOINT ${savepoint}`, `ROLLBACK TO SAVEPOINT ${savepoint}`];
+    }
+}
@@ -1,9 +1,13 @@
 import * as _ from "underscore";
+import crypto from "crypto";
 
 _.extend(_, {
 	serialize,
 	unserialize,
-	devAssert	
+	devAssert,
+	uuid,
+	uuidToBuffer,
+	bufferToUuid
 });
 
 module.exports = _;
@@ -29,3 +33,45 @@ function devAssert(condition, message) {
         throw new Error(message);
     }
 }
+
+/**
+ Generates a random (version 4) UUID string.
+**/
+function uuid() {
+    const bytes = crypto.randomBytes(16);
+
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    return bufferToUuid(bytes);
+}
+
+/**
+ Converts a UUID string into its 16 bytes binary form. Returns `false` if the string is not a UUID.
+**/
+function uuidToBuffer(value) {
+    if (Buffer.isBuffer(value)) {
+        return value;
+    }
+
+    const hex = String(value).replace(/-/g, "");
+
+    if (!/^[0-9a-f]{32}$/i.test(hex)) {
+        return false;
+    }
+
+    return Buffer.from(hex, "hex");
+}
+
+/**
+ Converts the 16 bytes binary form of a UUID back into its string form.
+**/
+function bufferToUuid(value) {
+    if (!Buffer.isBuffer(value)) {
+        return value;
+    }
+
+    const hex = value.toString("hex");
+
+    return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join("-");
+}
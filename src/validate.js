@@ -0,0 +1,100 @@
+import * as _ from "./utils";
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    urlPattern = /^(https?|ftp):\/\/[^\s/$.?#].[^\s]*$/i;
+
+/**
+ Checks the column's value against the declarative rules set in the column's definition.
+
+ @param {string} key
+    The column's name.
+ @param {*} value
+ @param {object} def
+    The column's definition.
+    {
+        @property {number} min
+            The minimum numeric value.
+        @property {number} max
+            The maximum numeric value.
+        @property {int} minLength
+            The minimum length of a string or array value.
+        @property {int} maxLength
+            The maximum length of a string or array value. For `String` columns, defaults to the column's `length`.
+        @property {RegExp|string} pattern
+            The pattern a string value must match.
+        @property {Boolean} email
+            Whether the value must be an email address.
+        @property {Boolean} url
+            Whether the value must be a URL.
+    }
+ @returns {string|null}
+    Returns the error message or `null` if the value is valid.
+**/
+export function validateValue(key, value, def) {
+    if ("Enum" === def.type && def.enum && !_.contains(def.enum, value)) {
+        return `${key} must be one of ${def.enum.join(", ")}!`;
+    }
+
+    if ("UUID" === def.type && !_.uuidToBuffer(value)) {
+        return `${key} must be a valid UUID!`;
+    }
+
+    if ("Decimal" === def.type && !/^-?\d+(\.\d+)?$/.test(String(value))) {
+        return `${key} must be a decimal number!`;
+    }
+
+    if (!_.isUndefined(def.min) || !_.isUndefined(def.max)) {
+        const num = parseFloat(value);
+
+        if (_.isNaN(num)) {
+            return `${key} must be a number!`;
+        }
+
+        if (!_.isUndefined(def.min) && num < def.min) {
+            return `${key} must be at least ${def.min}!`;
+        }
+
+        if (!_.isUndefined(def.max) && num > def.max) {
+            return `${key} must be at most ${def.max}!`;
+        }
+    }
+
+    const maxLength = def.maxLength || ("String" === def.type && def.length),
+        hasLength = _.isString(value) || _.isArray(value);
+
+    if (def.minLength && hasLength && value.length < def.minLength) {
+        return `${key} must have at least ${def.minLength} characters!`;
+    }
+
+    if (maxLength && hasLength && value.length > maxLength) {
+        return `${key} must have at most ${maxLength} characters!`;
+    }
+
+    if (def.pattern) {
+        const pattern = _.isRegExp(def.pattern) ? def.pattern : new RegExp(def.pattern);
+
+        if (!pattern.test(value)) {
+            return `${key} has an invalid format!`;
+        }
+    }
+
+    if (def.email && !emailPattern.test(value)) {
+        return `${key} must be a valid email address!`;
+    }
+
+    if (def.url && !urlPattern.test(value)) {
+        return `${key} must be a valid URL!`;
+    }
+
+    return null;
+}
+
+/**
+ Whether the value is considered missing, i.e. `undefined`, `null` or an empty string.
+
+ @param {*} value
+ @returns {Boolean}
+**/
+export function isMissing(value) {
+    return _.isUndefined(value) || _.isNull(value) || "" === value;
+}